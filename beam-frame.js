@@ -3,7 +3,7 @@
  * SPDX-License-Identifier: GPL-3.0-or-later
  */
 
-import * as THREE from 'three';
+import THREE from './three-import.js?v=1.0.15';
 
 const BASIS_EPS = 1e-12;
 const WORLD_UP = new THREE.Vector3(0, 1, 0);
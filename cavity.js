@@ -0,0 +1,169 @@
+/*!
+ * BeamBench Copyright (C) 2025 VisuPhy
+ * SPDX-License-Identifier: GPL-3.0-or-later
+ */
+
+// cavity.js — round-trip ABCD, stability and eigenmode of a resonator made of mirrors
+import THREE from './three-import.js?v=1.0.15';
+import { Complex, abcd as applyABCD } from './optics.js?v=1.0.15';
+
+const C_LIGHT = 299792458;
+const TWO_PI = 2 * Math.PI;
+
+const _matMul = (m, n) => [
+  m[0] * n[0] + m[1] * n[2], m[0] * n[1] + m[1] * n[3],
+  m[2] * n[0] + m[3] * n[2], m[2] * n[1] + m[3] * n[3]
+];
+const _prop = (L) => [1, L, 0, 1];
+const _curv = (C) => [1, 0, C, 1];
+
+// Mirrors are pure curvature maps (A = D = 1, B = 0), so C is read back from abcd() as 1/q' − 1/q
+function _mirrorC(el, ctx){
+  const q0 = new Complex(0, 1);
+  const q1 = el.abcd(q0, ctx);
+  return q1.inv().add(q0.inv().mul(-1)).re;
+}
+
+// Stop sequence of one round trip, starting just after mirror 0 heading to mirror 1.
+// Linear cavities fold back on themselves; ring cavities close the loop.
+function _roundTripStops(count, type){
+  const stops = [];
+  for (let i = 0; i < count; i++) stops.push(i);
+  if (type === "ring") stops.push(0);
+  else for (let i = count - 2; i >= 0; i--) stops.push(i);
+  return stops;
+}
+
+// Eigen-q of a round trip [A B; C D]; q stays null when that plane is unstable
+function _eigenAxis(M){
+  const [A, B, C, D] = M;
+  const m = (A + D) / 2;
+  const stable = Math.abs(m) < 1 && Math.abs(B) > 1e-15;
+  const out = { A, B, C, D, m, stable, q: null, gouy_rad: NaN };
+  if (!stable) return out;
+  const invq = new Complex((D - A) / (2 * B), -Math.sqrt(1 - m * m) / Math.abs(B));
+  out.q = invq.inv();
+  const zeta = Math.acos(m);
+  out.gouy_rad = (B > 0) ? zeta : TWO_PI - zeta;
+  return out;
+}
+
+/**
+ * Analyse a resonator whose axis runs through the centres of the given mirrors.
+ * Both transverse planes are solved: x is tangential to the (horizontal) bench plane,
+ * y is sagittal, so folded cavities show the astigmatism of their tilted mirrors.
+ * @param {object[]} mirrors - Mirror elements in beam order (at least two).
+ * @param {object} [opts]
+ * @param {string} [opts.type="linear"] - "linear" (standing wave) or "ring".
+ * @param {number} [opts.lambda=1064e-9] - Vacuum wavelength in meters.
+ * @returns {object|null} Round-trip matrices, stability, eigenmode and mode spacings.
+ */
+export function analyzeCavity(mirrors, { type = "linear", lambda = 1064e-9 } = {}){
+  if (!Array.isArray(mirrors) || mirrors.length < 2) return null;
+  const kind = (type === "ring" && mirrors.length >= 3) ? "ring" : "linear";
+  const pos = mirrors.map(m => m.mesh.getWorldPosition(new THREE.Vector3()));
+  const stops = _roundTripStops(mirrors.length, kind);
+
+  const legs = [];
+  for (let k = 0; k < stops.length - 1; k++) {
+    const from = stops[k], to = stops[k + 1];
+    const L = pos[from].distanceTo(pos[to]);
+    if (L < 1e-9) return null;
+    legs.push({ from, to, L, dir: pos[to].clone().sub(pos[from]).normalize() });
+  }
+
+  // Mirror at the end of each leg: incidence from the fold angle between legs
+  const curvX = [], curvY = [];
+  for (let k = 0; k < legs.length; k++) {
+    const a = legs[k].dir, b = legs[(k + 1) % legs.length].dir;
+    const cosI = Math.sqrt(Math.max(0, (1 - a.dot(b)) / 2));
+    const foldNormal = new THREE.Vector3().crossVectors(a, b);
+    // Fold in the horizontal bench plane -> x is tangential; otherwise y is
+    const xTangential = foldNormal.lengthSq() < 1e-12 || Math.abs(foldNormal.normalize().y) > 0.5;
+    const el = mirrors[legs[k].to];
+    curvX.push(_mirrorC(el, { cosI, plane: xTangential ? "tangential" : "sagittal" }));
+    curvY.push(_mirrorC(el, { cosI, plane: xTangential ? "sagittal" : "tangential" }));
+  }
+
+  let Mx = [1, 0, 0, 1], My = [1, 0, 0, 1];
+  for (let k = 0; k < legs.length; k++) {
+    Mx = _matMul(_curv(curvX[k]), _matMul(_prop(legs[k].L), Mx));
+    My = _matMul(_curv(curvY[k]), _matMul(_prop(legs[k].L), My));
+  }
+
+  const roundTrip_m = legs.reduce((s, l) => s + l.L, 0);
+  const fsr_Hz = C_LIGHT / roundTrip_m;
+  const axes = { x: _eigenAxis(Mx), y: _eigenAxis(My) };
+  axes.x.curv = curvX;
+  axes.y.curv = curvY;
+
+  for (const res of Object.values(axes)) {
+    res.tms_Hz = res.stable ? fsr_Hz * res.gouy_rad / TWO_PI : NaN;
+    if (!res.stable) continue;
+    const curv = res.curv;
+    res.w_um = Math.sqrt(-lambda / (Math.PI * res.q.inv().im)) * 1e6;   // at mirror 0
+    // Walk the round trip and keep the tightest waist
+    let q = res.q.clone();
+    res.waist = null;
+    legs.forEach((leg, k) => {
+      const zWaist = -q.re;
+      if (zWaist >= 0 && zWaist <= leg.L) {
+        const w0_um = Math.sqrt(lambda * q.im / Math.PI) * 1e6;
+        if (!res.waist || w0_um < res.waist.w0_um) {
+          res.waist = { w0_um, leg: k, from: leg.from, to: leg.to, distance_mm: zWaist * 1e3 };
+        }
+      }
+      q = applyABCD(q.add(leg.L), 1, 0, curv[k], 1);
+    });
+  }
+
+  let g1g2 = NaN;
+  if (kind === "linear" && mirrors.length === 2) {
+    const g = (el) => (el.props.flat || !Number.isFinite(el.props.R)) ? 1 : 1 - legs[0].L / el.props.R;
+    g1g2 = g(mirrors[0]) * g(mirrors[1]);
+  }
+
+  return {
+    type: kind,
+    lambda,
+    legs,
+    positions: pos,
+    roundTrip_m,
+    fsr_Hz,
+    g1g2,
+    stable: axes.x.stable && axes.y.stable,
+    x: axes.x,
+    y: axes.y
+  };
+}
+
+/**
+ * Sample the eigenmode along the distinct legs of an analysed, stable cavity.
+ * @param {object} analysis - Result of analyzeCavity.
+ * @param {number} [perLeg=60] - Samples per leg.
+ * @returns {{pts:THREE.Vector3[], dirs:THREE.Vector3[], widthsX:number[], widthsY:number[]}|null}
+ */
+export function sampleCavityMode(analysis, perLeg = 60){
+  if (!analysis?.stable) return null;
+  const { lambda, legs, x, y } = analysis;
+  // A linear cavity retraces its legs, so only the outbound half is drawn
+  const drawn = (analysis.type === "ring") ? legs.length : legs.length / 2;
+  const w = (q) => Math.sqrt(-lambda / (Math.PI * q.inv().im));
+  const out = { pts: [], dirs: [], widthsX: [], widthsY: [] };
+
+  let qx = x.q.clone(), qy = y.q.clone();
+  for (let k = 0; k < drawn; k++) {
+    const leg = legs[k];
+    const start = analysis.positions[leg.from];
+    for (let i = 0; i <= perLeg; i++) {
+      const t = (i / perLeg) * leg.L;
+      out.pts.push(start.clone().addScaledVector(leg.dir, t));
+      out.dirs.push(leg.dir.clone());
+      out.widthsX.push(w(qx.add(t)));
+      out.widthsY.push(w(qy.add(t)));
+    }
+    qx = applyABCD(qx.add(leg.L), 1, 0, x.curv[k], 1);
+    qy = applyABCD(qy.add(leg.L), 1, 0, y.curv[k], 1);
+  }
+  return out;
+}
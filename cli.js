@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+/*!
+ * BeamBench Copyright (C) 2025 VisuPhy
+ * SPDX-License-Identifier: GPL-3.0-or-later
+ */
+
+// cli.js — trace a saved setup from the command line and report what each element's panel shows
+import { readFileSync, writeFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import { trace } from './trace.js?v=1.0.15';
+import { outputBeamRows } from './readouts.js?v=1.0.15';
+import { SHARED_ELEMENT_PROPS } from './elements.js?v=1.0.15';
+
+const USAGE = `Usage: node cli.js <optical_setup.json> [options]
+
+Traces a setup saved with "Save State" and prints the Output Beam Characteristics
+of every element and detector.
+
+Options:
+  -f, --format <text|json|csv>   Output format (default: text)
+  -o, --output <file>            Write to a file instead of standard output
+  -w, --wavelength <nm>          Set the wavelength of every source
+  -s, --set <target.prop=value>  Override a prop (repeatable). The target is an element id
+                                 (its position in the file, counting from 1), an element
+                                 label, or sourceN for the N-th source. Values are read as
+                                 JSON when they parse (numbers, true, [0,1]), else as text;
+                                 a prop that holds a number only takes a number.
+      --max-segments <n>         Interactions followed per path (default: 60)
+  -h, --help                     Show this help
+`;
+
+class UsageError extends Error {}
+
+function _parseValue(text) {
+  try { return JSON.parse(text); } catch { return text; }
+}
+
+// "lens 2.f=0.075" -> { target: "lens 2", prop: "f", value: 0.075 }
+function _parseOverride(spec) {
+  const eq = spec.indexOf('=');
+  const lhs = (eq > 0) ? spec.slice(0, eq) : '';
+  const dot = lhs.lastIndexOf('.');
+  if (dot <= 0 || dot === lhs.length - 1) throw new UsageError(`--set expects target.prop=value, got "${spec}"`);
+  return { target: lhs.slice(0, dot), prop: lhs.slice(dot + 1), value: _parseValue(spec.slice(eq + 1)) };
+}
+
+function _overrideTargets(setup, target) {
+  const src = /^source(\d+)$/i.exec(target);
+  if (src) return [setup.sources[Number(src[1]) - 1]].filter(Boolean);
+  if (/^\d+$/.test(target)) return [setup.elements[Number(target) - 1]].filter(Boolean);
+  return setup.elements.filter(e => e.props?.label === target);
+}
+
+function applyOverrides(setup, { wavelength, set = [] }) {
+  if (wavelength !== undefined) {
+    const nm = Number(wavelength);
+    if (!(nm > 0)) throw new UsageError(`--wavelength expects a positive number of nm, got "${wavelength}"`);
+    for (const s of setup.sources) s.props.wavelength_nm = nm;
+  }
+  for (const spec of set) {
+    const { target, prop, value } = _parseOverride(spec);
+    const hits = _overrideTargets(setup, target);
+    if (!hits.length) throw new UsageError(`--set: no element or source matches "${target}"`);
+    for (const h of hits) {
+      if (!(prop in h.props) && !SHARED_ELEMENT_PROPS.includes(prop)) console.warn(`beambench: note: "${target}" had no prop "${prop}"; setting it anyway`);
+      if (typeof h.props[prop] === 'number' && typeof value !== 'number') {
+        throw new UsageError(`--set: ${target}.${prop} is a number, got "${spec.slice(spec.indexOf('=') + 1)}"`);
+      }
+      h.props[prop] = value;
+    }
+  }
+}
+
+function report(result) {
+  return result.elements.map(e => ({
+    id: e.id,
+    type: e.type,
+    label: e.label ?? null,
+    readouts: Object.fromEntries(outputBeamRows(e.type, e.output ?? e.detector))
+  }));
+}
+
+function formatText(rows) {
+  return rows.map(r => {
+    const head = `#${r.id} ${r.type}${r.label ? ` "${r.label}"` : ''}`;
+    const entries = Object.entries(r.readouts);
+    if (!entries.length) return `${head}\n  (no beam)`;
+    const pad = Math.max(...entries.map(([k]) => k.length));
+    return [head, ...entries.map(([k, v]) => `  ${k.padEnd(pad)}  ${v}`)].join('\n');
+  }).join('\n\n') + '\n';
+}
+
+function formatCsv(rows) {
+  const cell = (v) => /[",\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : String(v);
+  const lines = ['id,type,label,quantity,value'];
+  for (const r of rows) {
+    for (const [k, v] of Object.entries(r.readouts)) lines.push([r.id, r.type, r.label ?? '', k, v].map(cell).join(','));
+  }
+  return lines.join('\n') + '\n';
+}
+
+function main(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      format: { type: 'string', short: 'f', default: 'text' },
+      output: { type: 'string', short: 'o' },
+      wavelength: { type: 'string', short: 'w' },
+      set: { type: 'string', short: 's', multiple: true },
+      'max-segments': { type: 'string' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+  if (values.help) { process.stdout.write(USAGE); return 0; }
+  if (positionals.length !== 1) throw new UsageError('expected exactly one setup file');
+  if (!['text', 'json', 'csv'].includes(values.format)) throw new UsageError(`unknown format "${values.format}"`);
+
+  const setup = JSON.parse(readFileSync(positionals[0], 'utf8'));
+  if (!Array.isArray(setup?.sources) || !Array.isArray(setup?.elements)) {
+    throw new Error(`${positionals[0]} is not a saved BeamBench setup`);
+  }
+  applyOverrides(setup, values);
+
+  const options = { paths: false };
+  if (values['max-segments'] !== undefined) {
+    options.maxSegments = Number(values['max-segments']);
+    if (!Number.isInteger(options.maxSegments) || options.maxSegments < 1) {
+      throw new UsageError(`--max-segments expects a positive integer, got "${values['max-segments']}"`);
+    }
+  }
+  const rows = report(trace(setup, options));
+
+  const text = (values.format === 'json') ? JSON.stringify(rows, null, 2) + '\n'
+    : (values.format === 'csv') ? formatCsv(rows)
+    : formatText(rows);
+  if (values.output) writeFileSync(values.output, text);
+  else process.stdout.write(text);
+  return 0;
+}
+
+try {
+  process.exitCode = main(process.argv.slice(2));
+} catch (err) {
+  const usage = (err instanceof UsageError) || err?.code?.startsWith?.('ERR_PARSE_ARGS');
+  console.error(`beambench: ${err.message}`);
+  if (usage) console.error('Run with --help for usage.');
+  process.exitCode = usage ? 2 : 1;
+}
@@ -4,18 +4,24 @@
  */
 
 // elements.js — Three.js optics elements, labels, and helpers
-import * as THREE from 'three';
-import { Complex, Rtheta, MWaveplate, MPol } from './optics.js?v=1.0.15';
+import THREE from './three-import.js?v=1.0.15';
+import { Complex, Rtheta, MWaveplate, MPol, C2, muellerFromJones, parseComplex, abcd as applyABCD } from './optics.js?v=1.0.15';
 import { buildTransverseBasis } from './beam-frame.js?v=1.0.15';
+import { refractiveIndex, birefringence } from './materials.js?v=1.0.15';
 
 let ELEMENT_ID = 1;
 
+// Nominal glass index used for the Coddington correction of tilted thin lenses
+const THIN_LENS_NOMINAL_N = 1.5;
+
 // Shared materials
 const commonSide = THREE.DoubleSide;
 const matLens    = new THREE.MeshStandardMaterial({ color:0x9bd8ff, metalness:0.1, roughness:0.35, transparent:true, opacity:0.85, side: commonSide });
 const matGlass   = new THREE.MeshStandardMaterial({ color:0xb6ffd9, metalness:0.1, roughness:0.35, transparent:true, opacity:0.85, side: commonSide });
 const matWave    = new THREE.MeshStandardMaterial({ color:0xffd6a6, metalness:0.1, roughness:0.35, transparent:true, opacity:0.85, side: commonSide });
 const matFaraday = new THREE.MeshStandardMaterial({ color:0xe6c9ff, metalness:0.1, roughness:0.35, transparent:true, opacity:0.85, side: commonSide });
+const matJones   = new THREE.MeshStandardMaterial({ color:0xa6f0ff, metalness:0.1, roughness:0.35, transparent:true, opacity:0.85, side: commonSide });
+const matDepol   = new THREE.MeshStandardMaterial({ color:0xd9d9d9, metalness:0.05, roughness:0.8, transparent:true, opacity:0.8, side: commonSide });
 const matMirror  = new THREE.MeshStandardMaterial({ color:0xf0eded, metalness:0.1, roughness:0.15, side: commonSide });
 const matMirrorSide = new THREE.MeshStandardMaterial({ color: 0x707070, metalness: 0.1, roughness: 1.0, side: commonSide, transparent: true });
 const matThickLensSide = new THREE.MeshStandardMaterial({ color: 0x54718a, metalness: 0.08, roughness: 0.65, side: commonSide, transparent: true, opacity: 0.65 });
@@ -23,6 +29,7 @@ const matBS      = new THREE.MeshStandardMaterial({ color: 0xc7d6ff, metalness:0
 const matBlock   = new THREE.MeshStandardMaterial({ color:0x444b5a, metalness:0.2, roughness:0.6, side: THREE.DoubleSide });
 const matGrating = new THREE.MeshStandardMaterial({ color:0xdcc2ff, metalness:0.2, roughness:0.35, transparent:true, opacity:0.9, side: THREE.DoubleSide });
 const matMeter   = new THREE.MeshStandardMaterial({ color:0xfff3a3, metalness:0.15, roughness:0.4, transparent:true, opacity:0.95, side: THREE.DoubleSide });
+const matPrism   = new THREE.MeshStandardMaterial({ color:0xb6e3ff, metalness:0.1, roughness:0.25, transparent:true, opacity:0.55, side: THREE.DoubleSide });
 
 function makePanel(w=0.0036, h=0.0036, mat=matGlass){
   const visualThickness = 0.0004; // Visual thickness
@@ -51,9 +58,77 @@ function makePanel(w=0.0036, h=0.0036, mat=matGlass){
   collisionMesh.add(group);
   return collisionMesh;
 }
+// --- helpers: conic surfaces ---
+// Sag magnitude h of a conic of vertex radius Ra and conic constant k about its own axis
+// (k = 0 sphere, -1 paraboloid, -1 < k < 0 prolate and k > 0 oblate ellipsoid, k < -1 hyperboloid),
+// with the slope (dh/dpx, dh/dpy). Points past the rim of a closed conic are pulled onto the rim.
+function _conicSag(px, py, Ra, k = 0){
+  const c = 1 / Ra;
+  const e = 1 + k;
+  let r2 = px * px + py * py;
+  const rMax2 = (e > 0) ? 1 / (e * c * c) : Infinity;
+  if (r2 > rMax2) {
+    const s = Math.sqrt(rMax2 / r2);
+    px *= s;
+    py *= s;
+    r2 = rMax2;
+  }
+  const root = Math.sqrt(Math.max(0, 1 - e * c * c * r2));
+  const slope = c / Math.max(1e-9, root);
+  return { px, py, h: c * r2 / (1 + root), gx: slope * px, gy: slope * py, rMax2 };
+}
+
+/**
+ * Largest |offAxis| at which a mirror patch of half-width halfW still lies on its parent conic.
+ * Closed conics (k > -1) end at |R|/sqrt(1 + k); paraboloids and hyperboloids never do.
+ * @returns {number} Limit (m), 0 when the patch is wider than the conic itself.
+ */
+export function maxMirrorOffAxis(R, k, halfW){
+  const e = 1 + (Number(k) || 0);
+  if (e <= 0) return Infinity;
+  return Math.max(0, Math.abs(R) / Math.sqrt(e) - Math.abs(halfW));
+}
+
+// Surface type of a curved mirror from its conic constant
+export function conicName(k){
+  if (!Number.isFinite(k) || Math.abs(k) < 1e-9) return "Sphere";
+  if (Math.abs(k + 1) < 1e-9) return "Paraboloid";
+  return (k > -1) ? "Ellipsoid" : "Hyperboloid";
+}
+
+/**
+ * Signed local radius of curvature of a (possibly off-axis) conic mirror.
+ * The principal radii at height r from the parent axis are Rs = sqrt(R² − k·r²) (sagittal)
+ * and Rm = Rs³/R² (meridional); Euler's formula blends them along a surface direction.
+ * @param {object} props - Mirror props (R, conic, offAxis).
+ * @param {object} [ctx]
+ * @param {{x:number,y:number}} [ctx.at] - Point on the surface, relative to the aperture centre (m).
+ * @param {{x:number,y:number}} [ctx.along] - Direction on the surface; defaults to the meridian
+ *   for ctx.plane "tangential" and across it otherwise.
+ * @returns {number} Radius (m), with the sign convention of props.R.
+ */
+export function mirrorLocalRadius(props, { at, along, plane } = {}){
+  const R = props.R;
+  const k = Number(props.conic) || 0;
+  const px = (Number(props.offAxis) || 0) + (at?.x ?? 0);
+  const py = at?.y ?? 0;
+  const r2 = px * px + py * py;
+  if (!Number.isFinite(R) || r2 < 1e-18 || (k === 0 && !along)) return R;
+  const Rs = Math.sqrt(Math.max(1e-30, R * R - k * r2));
+  const Rm = Rs * Rs * Rs / (R * R);
+  let cos2 = (plane === "tangential") ? 1 : 0;
+  const len2 = along ? along.x * along.x + along.y * along.y : 0;
+  if (len2 > 1e-18) {
+    const dot = (along.x * px + along.y * py);
+    cos2 = Math.min(1, dot * dot / (len2 * r2));
+  }
+  return Math.sign(R) / (cos2 / Rm + (1 - cos2) / Rs);
+}
+
 // --- helpers: plano-spherical visual geometry ---
-function _buildSphericalPatchGeometry(worldW, worldH, R, segs = 96) {
+function _buildSphericalPatchGeometry(worldW, worldH, R, segs = 96, conic = 0, offAxis = 0) {
   // worldW/worldH are the *actual* visible size in meters (base size × scale).
+  // A non-zero conic or offAxis cuts the patch from a conic whose axis sits offAxis away along x.
   const sgn = (R >= 0 ? 1 : -1);
   const Ra  = Math.abs(R);
 
@@ -69,34 +144,27 @@ function _buildSphericalPatchGeometry(worldW, worldH, R, segs = 96) {
   const uvs       = new Float32Array(vx * vy * 2);
 
   const halfW = worldW * 0.5, halfH = worldH * 0.5;
+  const xOff = Number(offAxis) || 0;
+  const h0 = _conicSag(xOff, 0, Ra, conic).h;
+  const rMax2 = _conicSag(0, 0, Ra, conic).rMax2;
 
   let ip = 0, iu = 0;
   for (let j = 0; j <= gy; j++) {
     const ty = j / gy, y = THREE.MathUtils.lerp(-halfH, halfH, ty);
     for (let k = 0; k <= gx; k++) {
       const tx = k / gx, x = THREE.MathUtils.lerp(-halfW, halfW, tx);
-      const r2 = x*x + y*y;
-      const inside = r2 <= Ra*Ra + 1e-12;
 
-      // sagitta on the sphere; if outside, place it *on the rim* (projection),
+      // sagitta on the conic; if outside, _conicSag places it *on the rim* (projection),
       // so edge is circular even when the grid is rectangular.
-      let px = x, py = y, pz = 0;
-      if (inside) {
-        pz = sgn * (Ra - Math.sqrt(Math.max(0, Ra*Ra - r2)));
-      } else {
-        // project to rim: scale (x,y) to length R
-        const invLen = 1.0 / Math.max(1e-12, Math.hypot(x, y));
-        px = x * Ra * invLen;
-        py = y * Ra * invLen;
-        pz = sgn * Ra; // rim z at hemisphere boundary
-      }
+      const s = _conicSag(x + xOff, y, Ra, conic);
+      const px = s.px - xOff, py = s.py, pz = sgn * (s.h - h0);
 
       positions[ip+0] = px;
       positions[ip+1] = py;
       positions[ip+2] = pz;
 
-      // normal from sphere center (0,0,sgn*R) to point
-      let nx = px, ny = py, nz = (pz - sgn*Ra);
+      // normal (h', -sgn): for a sphere this points from the centre (0,0,sgn*R) to the point
+      let nx = s.gx, ny = s.gy, nz = -sgn;
       const inv = 1.0 / Math.max(1e-12, Math.hypot(nx, ny, nz));
       normals[ip+0] = nx * inv;
       normals[ip+1] = ny * inv;
@@ -107,6 +175,14 @@ function _buildSphericalPatchGeometry(worldW, worldH, R, segs = 96) {
     }
   }
 
+  // Triangles squeezed to nothing where several grid points were pulled onto the same rim point
+  const minArea = 1e-6 * (worldW / gx) * (worldH / gy);
+  const area = (a, b, c) => {
+    const ux = positions[3*b] - positions[3*a], uy = positions[3*b+1] - positions[3*a+1], uz = positions[3*b+2] - positions[3*a+2];
+    const vx = positions[3*c] - positions[3*a], vy = positions[3*c+1] - positions[3*a+1], vz = positions[3*c+2] - positions[3*a+2];
+    return 0.5 * Math.hypot(uy * vz - uz * vy, uz * vx - ux * vz, ux * vy - uy * vx);
+  };
+
   // indices — add a cell's two triangles only if the *cell center* is inside the circle
   const idx = [];
   for (let j = 0; j < gy; j++) {
@@ -119,8 +195,9 @@ function _buildSphericalPatchGeometry(worldW, worldH, R, segs = 96) {
       // cell center (average of its four corners)
       const cx = 0.25 * (positions[3*a] + positions[3*b] + positions[3*c] + positions[3*d]);
       const cy = 0.25 * (positions[3*a+1] + positions[3*b+1] + positions[3*c+1] + positions[3*d+1]);
-      if ((cx*cx + cy*cy) <= Ra*Ra + 1e-9) {
-        idx.push(a, c, b, b, c, d);
+      if (((cx + xOff)*(cx + xOff) + cy*cy) <= rMax2 + 1e-9) {
+        if (area(a, c, b) > minArea) idx.push(a, c, b);
+        if (area(b, c, d) > minArea) idx.push(b, c, d);
       }
     }
   }
@@ -150,32 +227,40 @@ function _geometryZRange(geom){
   return { min: zMin, max: zMax };
 }
 
-function _surfaceSagAndNormal(x, y, R){
-  if (!Number.isFinite(R) || Math.abs(R) < 1e-9) {
-    return { x, y, z: 0, nx: 0, ny: 0, nz: 1 };
-  }
+// Sag and unit normal of a lens surface: conic of vertex radius R and conic constant `conic`,
+// plus even-asphere terms asph = [A4, A6, A8, A10] (SI units, m^(1-2p) for the r^(2p) term).
+// The normal keeps the spherical convention (from the centre of curvature toward the surface).
+function _surfaceSagAndNormal(x, y, R, conic = 0, asph = null){
+  const flat = !Number.isFinite(R) || Math.abs(R) < 1e-9;
+  const sgn = flat ? -1 : (R >= 0 ? 1 : -1);
 
-  const Ra = Math.abs(R);
   let px = x;
   let py = y;
-  let r2 = px * px + py * py;
-
-  if (r2 > Ra * Ra) {
-    const s = Ra / Math.sqrt(r2);
-    px *= s;
-    py *= s;
-    r2 = px * px + py * py;
+  let z = 0;
+  let dzdx = 0;
+  let dzdy = 0;
+  if (!flat) {
+    const c = _conicSag(x, y, Math.abs(R), conic);
+    px = c.px;
+    py = c.py;
+    z = sgn * c.h;
+    dzdx = sgn * c.gx;
+    dzdy = sgn * c.gy;
   }
 
-  const sgn = (R >= 0 ? 1 : -1);
-  const z = sgn * (Ra - Math.sqrt(Math.max(0, Ra * Ra - r2)));
-  const cx = 0;
-  const cy = 0;
-  const cz = sgn * Ra;
-
-  let nx = px - cx;
-  let ny = py - cy;
-  let nz = z - cz;
+  const r2 = px * px + py * py;
+  (asph || []).forEach((A, i) => {
+    const p = i + 2;
+    if (!Number.isFinite(A) || A === 0) return;
+    z += A * Math.pow(r2, p);
+    const dr = 2 * p * A * Math.pow(r2, p - 1);   // (dz/dr) / r
+    dzdx += dr * px;
+    dzdy += dr * py;
+  });
+
+  let nx = sgn * dzdx;
+  let ny = sgn * dzdy;
+  let nz = -sgn;
   const invLen = 1.0 / Math.max(1e-12, Math.hypot(nx, ny, nz));
   nx *= invLen;
   ny *= invLen;
@@ -184,7 +269,7 @@ function _surfaceSagAndNormal(x, y, R){
   return { x: px, y: py, z, nx, ny, nz };
 }
 
-function _applySurfaceProfile(geom, R){
+function _applySurfaceProfile(geom, R, conic = 0, asph = null){
   const posAttr = geom.getAttribute('position');
   const posArr = posAttr.array;
   const nArr = new Float32Array(posArr.length);
@@ -192,7 +277,7 @@ function _applySurfaceProfile(geom, R){
   for (let i = 0; i < posArr.length; i += 3) {
     const x = posArr[i + 0];
     const y = posArr[i + 1];
-    const s = _surfaceSagAndNormal(x, y, R);
+    const s = _surfaceSagAndNormal(x, y, R, conic, asph);
 
     posArr[i + 0] = s.x;
     posArr[i + 1] = s.y;
@@ -208,6 +293,11 @@ function _applySurfaceProfile(geom, R){
   geom.getAttribute('normal').needsUpdate = true;
 }
 
+// True if a lens surface departs from a sphere (conic or any asphere term)
+export function isAspheric(conic, asph){
+  return (Number(conic) || 0) !== 0 || (asph || []).some(A => Number(A) !== 0 && Number.isFinite(Number(A)));
+}
+
 function _shiftGeometryZ(geom, dz){
   const posAttr = geom.getAttribute('position');
   const posArr = posAttr.array;
@@ -360,7 +450,14 @@ export function refreshMirrorVisual(el) {
     group.rotation.y = isVisuallyConvex ? Math.PI : 0;
 
     // Create the base curved geometry
-    const capGeom = _buildSphericalPatchGeometry(worldW, worldH, R_visual, 128);
+    const conic = Number(el.props.conic) || 0;
+    // Keep the whole aperture on the conic: past the rim of a closed conic there is no surface
+    const offAxisMax = maxMirrorOffAxis(R_visual, conic, worldW * 0.5);
+    if (Math.abs(Number(el.props.offAxis) || 0) > offAxisMax) {
+        el.props.offAxis = Math.sign(el.props.offAxis) * offAxisMax;
+    }
+    const offAxis = Number(el.props.offAxis) || 0;
+    const capGeom = _buildSphericalPatchGeometry(worldW, worldH, R_visual, 128, conic, offAxis);
     const posAttr = capGeom.getAttribute('position');
     const posArr = posAttr.array;
 
@@ -422,7 +519,9 @@ export function refreshMirrorVisual(el) {
         // ==== CONCAVE (user R > 0) ====
         // The builder gives z<=0, with z=0 at the center (vertex) and negative
         // sag towards the rim. Putting the planar back at z = +thickness keeps it
-        // behind the entire curved surface for any thickness > 0.
+        // behind the entire curved surface for any thickness > 0. An off-axis patch
+        // also rises above z=0 on the side facing the parent axis.
+        const zTop = Math.max(0, _geometryZRange(capGeom).max);
         thicknessMin = 1e-6;
         el.props._thicknessMin = thicknessMin;
 
@@ -435,7 +534,7 @@ export function refreshMirrorVisual(el) {
         const backPosAttr = backGeom.getAttribute('position');
         const backPosArr = backPosAttr.array;
         for (let i = 2; i < backPosArr.length; i += 3) {
-            backPosArr[i] = thickness; // plane behind vertex at z=0
+            backPosArr[i] = zTop + thickness; // plane behind vertex at z=0
         }
         backPosAttr.needsUpdate = true;
     }
@@ -535,6 +634,11 @@ export function refreshMirrorVisual(el) {
     cap.userData.isVisualOnly = true;
     cap.userData.element = el;
     cap.userData.surfaceKind = 'front';
+    // Exact conic normal in the cap's own coordinates, so rays are not steered by the facets
+    cap.userData.surfaceNormalAt = (x, y) => {
+        const s = _conicSag(x + offAxis, y, Math.abs(R_visual), conic);
+        return new THREE.Vector3(s.gx, s.gy, 1).normalize();
+    };
     cap.scale.set(invScaleX, invScaleY, invScaleZ);
     group.add(cap);
 
@@ -600,10 +704,15 @@ export function refreshThickLensVisual(el) {
 
     const R1 = Number(el.props.R1);
     const R2 = Number(el.props.R2);
-
-    const finiteRadii = [R1, R2]
-        .filter(r => Number.isFinite(r) && Math.abs(r) >= 1e-9)
-        .map(r => Math.abs(r));
+    const k1 = Number(el.props.conic1) || 0;
+    const k2 = Number(el.props.conic2) || 0;
+
+    // Closed conics (k > -1) end at |R|/sqrt(1 + k); paraboloids and hyperboloids never do
+    const rimRadius = (r, k) => (1 + k > 0) ? Math.abs(r) / Math.sqrt(1 + k) : Number.POSITIVE_INFINITY;
+    const finiteRadii = [[R1, k1], [R2, k2]]
+        .filter(([r]) => Number.isFinite(r) && Math.abs(r) >= 1e-9)
+        .map(([r, k]) => rimRadius(r, k))
+        .filter(Number.isFinite);
     const apertureRadius = finiteRadii.length ? Math.min(...finiteRadii) : Number.POSITIVE_INFINITY;
 
     const baseGeom = Number.isFinite(apertureRadius)
@@ -613,8 +722,8 @@ export function refreshThickLensVisual(el) {
     const frontGeom = baseGeom.clone();
     const backGeom = baseGeom.clone();
 
-    _applySurfaceProfile(frontGeom, R1);
-    _applySurfaceProfile(backGeom, R2);
+    _applySurfaceProfile(frontGeom, R1, k1, el.props.asph1);
+    _applySurfaceProfile(backGeom, R2, k2, el.props.asph2);
 
     const frontRange = _geometryZRange(frontGeom);
     const backRange = _geometryZRange(backGeom);
@@ -646,6 +755,11 @@ export function refreshThickLensVisual(el) {
     front.userData.isVisualOnly = true;
     front.userData.element = el;
     front.userData.surfaceKind = 'front';
+    // Exact surface normals for real-ray tracing (the facets would add their own aberration)
+    front.userData.surfaceNormalAt = (x, y) => {
+        const n = _surfaceSagAndNormal(x, y, R1, k1, el.props.asph1);
+        return new THREE.Vector3(n.nx, n.ny, n.nz);
+    };
     front.scale.set(invScaleX, invScaleY, invScaleZ);
     group.add(front);
     el._surfaceMeshes.push(front);
@@ -656,6 +770,10 @@ export function refreshThickLensVisual(el) {
     back.userData.isVisualOnly = true;
     back.userData.element = el;
     back.userData.surfaceKind = 'back';
+    back.userData.surfaceNormalAt = (x, y) => {
+        const n = _surfaceSagAndNormal(x, y, R2, k2, el.props.asph2);
+        return new THREE.Vector3(n.nx, n.ny, n.nz);
+    };
     back.scale.set(invScaleX, invScaleY, invScaleZ);
     group.add(back);
     el._surfaceMeshes.push(back);
@@ -663,6 +781,114 @@ export function refreshThickLensVisual(el) {
 
 
 
+// --- helpers: prism outlines ---
+export const PRISM_TYPES = ["Equilateral", "Right-Angle", "Dove", "Penta", "Pellin-Broca"];
+// Outlines are posed for glass of about this index: the equilateral prism sits at minimum
+// deviation and the Pellin–Broca at its 90° setting for a beam along local +Z.
+const PRISM_POSE_N = 1.5;
+
+// Cross-section in local (x, z) with side length a. `entry` is where the nominal beam
+// (along +Z) enters; `mirrors` lists the coated (reflecting) faces, face i = pts[i] -> pts[i+1].
+function _prismOutline(type, a){
+  const minDevDeg = THREE.MathUtils.radToDeg(Math.asin(PRISM_POSE_N * 0.5)); // 60° apex, or 30° half of Pellin–Broca
+  switch (type) {
+    case "Right-Angle":
+      // Enters a leg, TIR off the hypotenuse, leaves the other leg: 90° fold
+      return { pts: [[-a/2, -a/2], [a/2, -a/2], [-a/2, a/2]], entry: [0, -a/2], poseDeg: 0, mirrors: [] };
+    case "Dove": {
+      // 45° ends, TIR off the long base: image flipped, beam axis undeviated
+      const h = a / 4;
+      return { pts: [[-h/2, -a/2], [h/2, -a/2 + h], [h/2, a/2 - h], [-h/2, a/2]], entry: [0, -a/2 + h/2], poseDeg: 0, mirrors: [] };
+    }
+    case "Penta": {
+      // Entrance and exit faces at 90°, the other angles 112.5°; the two faces at 45° to each
+      // other are silvered (22.5° incidence is short of TIR), so the deviation is always 90°
+      const c45 = Math.SQRT1_2, c675 = Math.cos(THREE.MathUtils.degToRad(67.5)), s675 = Math.sin(THREE.MathUtils.degToRad(67.5));
+      const p2 = [a + a * c675, a * s675];
+      const c = (a - a * (s675 - c675)) / c45;   // length of the unused truncated face
+      const p3 = [p2[0] - c * c45, p2[1] + c * c45];
+      return { pts: [[0, 0], [a, 0], p2, p3, [0, a]], entry: [a/2, 0], poseDeg: 0, mirrors: [1, 3] };
+    }
+    case "Pellin-Broca": {
+      // Angles 90°, 75°, 135°, 60°: in through DA, TIR off BC, out through AB at 90°
+      const L3 = 0.5 * a;
+      const L2 = (a - L3 * 0.5) / Math.sin(THREE.MathUtils.degToRad(105));
+      const L1 = -L2 * Math.cos(THREE.MathUtils.degToRad(105)) + L3 * Math.cos(THREE.MathUtils.degToRad(30));
+      const C = [L2 * Math.sin(THREE.MathUtils.degToRad(105)), L1 + L2 * Math.cos(THREE.MathUtils.degToRad(105))];
+      return { pts: [[0, 0], [0, L1], C, [a, 0]], entry: [0.75 * a, 0], poseDeg: -minDevDeg, mirrors: [] };
+    }
+    default: {
+      // Apex along +X; posed at minimum deviation
+      const h = a * Math.sqrt(3) / 2;
+      return { pts: [[2*h/3, 0], [-h/3, a/2], [-h/3, -a/2]], entry: [0, -a/3], poseDeg: minDevDeg - 30, mirrors: [] };
+    }
+  }
+}
+
+// Prism faces as separate meshes (surfaceKind "face", faceIndex, coated), plus absorbing caps
+export function refreshPrismVisual(el) {
+    if (!el?.mesh) return;
+    const collisionMesh = el.mesh;
+    const group = collisionMesh.children.find(c => c.isGroup);
+    if (!group) return;
+
+    while (group.children.length) group.remove(group.children[0]);
+    el._surfaceMeshes = [];
+
+    const base = collisionMesh.geometry?.parameters || {};
+    const sx = Math.max(1e-9, Math.abs(collisionMesh.scale.x || 0));
+    const sy = Math.max(1e-9, Math.abs(collisionMesh.scale.y || 0));
+    const sz = Math.max(1e-9, Math.abs(collisionMesh.scale.z || 0));
+    const halfH = 0.5 * (base.height ?? 0.004) * sy;
+
+    const size = (Number.isFinite(el.props.size) && el.props.size > 0) ? el.props.size : 0.006;
+    const outline = _prismOutline(el.props.prismType, size);
+    const phi = THREE.MathUtils.degToRad(outline.poseDeg);
+    const cp = Math.cos(phi), sp = Math.sin(phi);
+    let pts = outline.pts.map(([x, z]) => {
+        const dx = x - outline.entry[0], dz = z - outline.entry[1];
+        return [dx * cp - dz * sp, dx * sp + dz * cp];
+    });
+    // Entry on the optical axis (x = 0), centred along z
+    const zs = pts.map(p => p[1]);
+    const zMid = 0.5 * (Math.min(...zs) + Math.max(...zs));
+    pts = pts.map(([x, z]) => [x, z - zMid]);
+    el._prismOutline = pts;
+
+    const addSurface = (geom, mat, userData) => {
+        geom.computeVertexNormals();
+        geom.computeBoundingBox();
+        geom.computeBoundingSphere();
+        const mesh = new THREE.Mesh(geom, mat);
+        Object.assign(mesh.userData, { isVisualOnly: true, element: el }, userData);
+        mesh.scale.set(1 / sx, 1 / sy, 1 / sz);
+        group.add(mesh);
+        el._surfaceMeshes.push(mesh);
+    };
+
+    pts.forEach((p, i) => {
+        const q = pts[(i + 1) % pts.length];
+        const geom = new THREE.BufferGeometry();
+        geom.setAttribute('position', new THREE.Float32BufferAttribute([
+            p[0], -halfH, p[1],  q[0], -halfH, q[1],  q[0], halfH, q[1],  p[0], halfH, p[1]
+        ], 3));
+        geom.setIndex([0, 1, 2, 0, 2, 3]);
+        const coated = outline.mirrors.includes(i);
+        addSurface(geom, coated ? matMirror : matPrism, { surfaceKind: 'face', faceIndex: i, coated });
+    });
+
+    for (const y of [-halfH, halfH]) {
+        const geom = new THREE.BufferGeometry();
+        const flat = [];
+        pts.forEach(([x, z]) => flat.push(x, y, z));
+        geom.setAttribute('position', new THREE.Float32BufferAttribute(flat, 3));
+        const idx = [];
+        for (let i = 1; i < pts.length - 1; i++) idx.push(0, i, i + 1); // outlines are convex
+        geom.setIndex(idx);
+        addSurface(geom, matThickLensSide, { surfaceKind: 'side' });
+    }
+}
+
 export function makeLabel(text){
   const c = document.createElement('canvas'); const fs=48;
   const ctx=c.getContext('2d'); ctx.font = `Bold ${fs}px Arial`;
@@ -682,6 +908,19 @@ export function makeLabel(text){
   return spr;
 }
 
+// Optional props any element type may carry. Factories only pick up their own props,
+// so duplicate and restore copy these across with copySharedProps().
+export const SHARED_ELEMENT_PROPS = [
+  "damage_W_cm2",     // damage threshold (W/cm², 0 = none)
+  "aperture_shape"    // clear aperture: "Rectangular" (full panel, default) or "Round" (inscribed)
+];
+export function copySharedProps(el, props){
+  for (const k of SHARED_ELEMENT_PROPS) {
+    if (props?.[k] !== undefined) el.props[k] = props[k];
+  }
+  return el;
+}
+
 export function clampToPlaneXZ(obj){
   obj.rotation.order = 'YXZ';
   const e = new THREE.Euler().setFromQuaternion(obj.quaternion, 'YXZ');
@@ -717,12 +956,36 @@ function attachUGIAxis(el){
   return el.ugi;
 }
 
+// Refraction at a (possibly tilted) spherical interface, q not index-reduced.
+// ctx.plane selects tangential/sagittal; ctx.cosI / ctx.cosT are the incidence and
+// refraction cosines (both default to normal incidence). Reff = Infinity for a plane.
+function _tiltedInterfaceQ(q, n1, n2, Reff, ctx = {}){
+  const cosI = Math.max(1e-6, Number.isFinite(ctx.cosI) ? ctx.cosI : 1);
+  const cosT = Math.max(1e-6, Number.isFinite(ctx.cosT) ? ctx.cosT : 1);
+  const dn = n1 * cosI - n2 * cosT;
+  const hasPower = Number.isFinite(Reff) && Math.abs(Reff) >= 1e-9;
+  if (ctx.plane === "tangential") {
+    const C = hasPower ? dn / (n2 * Reff * cosI * cosT) : 0;
+    return applyABCD(q, cosT / cosI, 0, C, (n1 * cosI) / (n2 * cosT));
+  }
+  const C = hasPower ? dn / (n2 * Reff) : 0;
+  return applyABCD(q, 1, 0, C, n1 / n2);
+}
+
 /* ----------------- Factories ----------------- */
 export function makeLens({f=1.0, label}={}){
   const mesh = makePanel(0.0036,0.0036, matLens);
   const el = {
     id: ELEMENT_ID++, type:"lens", mesh, props:{ f, label },
-    abcd(q){ const A=1, B=0, C=-1/this.props.f, D=1; const Aq = q.clone().mul(new Complex(A,0)); const num = Aq.add(B); const Cq = q.clone().mul(new Complex(C,0)); const den = Cq.add(D); return num.div(den); },
+    abcd(q, ctx = {}){
+      // Tilted thin lens (Coddington): P_s = P (n cos(theta') - cos(theta)) / (n - 1), P_t = P_s / cos^2(theta)
+      const cosI = Math.max(1e-6, Number.isFinite(ctx.cosI) ? ctx.cosI : 1);
+      const n = THIN_LENS_NOMINAL_N;
+      const cosT = Math.sqrt(Math.max(0, 1 - (1 - cosI * cosI) / (n * n)));
+      const Ps = (1 / this.props.f) * (n * cosT - cosI) / (n - 1);
+      const P = (ctx.plane === "tangential") ? Ps / (cosI * cosI) : Ps;
+      return applyABCD(q, 1, 0, -P, 1);
+    },
     jones(j){ return j; }
   };
   mesh.userData.element = el; updateElementLabel(el); return el;
@@ -732,34 +995,46 @@ export function makeThickLens({
   R1 = 0.05,
   R2 = -0.05,
   n = 1.5,
+  material = "Constant",
+  sellmeier,
+  cauchy,
   thickness = 0.004,
+  conic1 = 0,
+  conic2 = 0,
+  asph1 = [0, 0, 0, 0],
+  asph2 = [0, 0, 0, 0],
   label
 } = {}) {
   const mesh = makePanel(0.004, 0.004, matLens);
   const el = {
     id: ELEMENT_ID++, type: "thickLens", mesh,
-    props: { R1, R2, n, thickness, label },
+    // conic1/2 and asph1/2 ([A4, A6, A8, A10], SI) shape the surfaces for real rays;
+    // Gaussian beams see the paraxial (vertex) radii R1/R2
+    props: { R1, R2, n, material, sellmeier, cauchy, thickness, conic1, conic2, asph1, asph2, label },
+    // Glass index at a vacuum wavelength (m); "Constant" material returns props.n
+    indexAt(lambda){ return refractiveIndex(this.props, lambda); },
     abcd(q){ return q; },
     abcdTransmit(q, ctx = {}) {
       const surfaceKind = ctx.surfaceKind || "front";
       const n1 = Number.isFinite(ctx.n1) ? Number(ctx.n1) : 1.0;
-      const n2Raw = Number.isFinite(ctx.n2) ? Number(ctx.n2) : Number(this.props.n ?? 1.5);
+      const n2Raw = Number.isFinite(ctx.n2) ? Number(ctx.n2) : this.indexAt(ctx.lambda);
       const n2 = (Number.isFinite(n2Raw) && Math.abs(n2Raw) > 1e-12) ? n2Raw : 1.0;
       const dirSign = Number.isFinite(ctx.dirSign) ? Number(ctx.dirSign) : 1;
 
-      let C = 0;
       const Rsurf = (surfaceKind === "back") ? Number(this.props.R2) : Number(this.props.R1);
-      if (Number.isFinite(Rsurf) && Math.abs(Rsurf) >= 1e-9) {
-        const Reff = (dirSign >= 0) ? Rsurf : -Rsurf;
-        C = (n1 - n2) / (Reff * n2);
-      }
-
-      const D = n1 / n2;
-      const Aq = q.clone().mul(new Complex(1, 0));
-      const num = Aq.add(0);
-      const Cq = q.clone().mul(new Complex(C, 0));
-      const den = Cq.add(D);
-      return num.div(den);
+      const Reff = (dirSign >= 0) ? Rsurf : -Rsurf;
+      return _tiltedInterfaceQ(q, n1, n2, Reff, ctx);
+    },
+    // Partial (Fresnel) reflection off either surface, from outside or inside the glass.
+    // Reff > 0 bulges toward the incoming beam, i.e. acts as a convex mirror: C = +2/Reff
+    abcdReflect(q, ctx = {}) {
+      const dirSign = Number.isFinite(ctx.dirSign) ? Number(ctx.dirSign) : 1;
+      const Rsurf = (ctx.surfaceKind === "back") ? Number(this.props.R2) : Number(this.props.R1);
+      if (!Number.isFinite(Rsurf) || Math.abs(Rsurf) < 1e-9) return q;
+      const Reff = (dirSign >= 0) ? Rsurf : -Rsurf;
+      const cosI = Math.max(1e-6, Number.isFinite(ctx.cosI) ? ctx.cosI : 1);
+      const C = (ctx.plane === "tangential") ? 2 / (Reff * cosI) : 2 * cosI / Reff;
+      return applyABCD(q, 1, 0, C, 1);
     },
     jones(j){ return j; }
   };
@@ -770,32 +1045,73 @@ export function makeThickLens({
   return el;
 }
 
+export function makePrism({
+  prismType = "Equilateral",
+  size = 0.006,
+  n = 1.5168,
+  material = "N-BK7",
+  sellmeier,
+  cauchy,
+  label
+} = {}) {
+  const mesh = makePanel(size, 0.004, matPrism);
+  const el = {
+    id: ELEMENT_ID++, type: "prism", mesh,
+    props: { prismType, size, n, material, sellmeier, cauchy, label },
+    indexAt(lambda){ return refractiveIndex(this.props, lambda); },
+    abcd(q){ return q; },
+    // Flat faces: only the tilted-interface magnification (cosT/cosI) in the tangential plane
+    abcdTransmit(q, ctx = {}) {
+      const n1 = Number.isFinite(ctx.n1) ? Number(ctx.n1) : 1.0;
+      const n2 = Number.isFinite(ctx.n2) ? Number(ctx.n2) : this.indexAt(ctx.lambda);
+      return _tiltedInterfaceQ(q, n1, n2, Infinity, ctx);
+    },
+    jones(j){ return j; }
+  };
+
+  mesh.userData.element = el;
+  updateElementLabel(el);
+  refreshPrismVisual(el);
+  return el;
+}
+
 export function makeMirror({
   flat = true,
   R = 2.0,
   refl = 1.0,
   n = 1.5,
+  material = "Constant",
+  sellmeier,
+  cauchy,
   dichroic = false,
   reflBand_nm = { min: 400, max: 700 },
   transBand_nm = { min: 700, max: 1100 },
   thickness = 1.8e-4,
+  conic = 0,
+  offAxis = 0,
   label
 } = {}) {
   const mesh = makePanel(0.004,0.004, matMirror);
   const el = {
     id: ELEMENT_ID++, type: "mirror", mesh,
-    props: { flat, R, refl, n, dichroic, reflBand_nm, transBand_nm, thickness, label },
+    props: { flat, R, refl, n, material, sellmeier, cauchy, dichroic, reflBand_nm, transBand_nm, thickness, conic, offAxis, label },
+
+    // Substrate index at a vacuum wavelength (m); "Constant" material returns props.n
+    indexAt(lambda){ return refractiveIndex(this.props, lambda); },
 
-    // Reflection on curved surface (unchanged)
-    abcd(q){
+    // Reflection on curved surface; off-axis hits use Coddington's
+    // f_t = (R/2)cos(theta) in the tangential and f_s = (R/2)/cos(theta) in the sagittal plane.
+    // Conic and off-axis mirrors use the local radius at ctx.at along ctx.along (aperture centre by default).
+    // ctx.fromInside: reflection off the front surface from within the substrate (R flips sign)
+    abcd(q, ctx = {}){
       if (this.props.flat) return q;
-      const C = -2 / this.props.R;   // uses sign of R
-      const A = 1, B = 0, D = 1;
-      const Aq = q.clone().mul(new Complex(A, 0));
-      const num = Aq.add(B);
-      const Cq = q.clone().mul(new Complex(C, 0));
-      const den = Cq.add(D);
-      return num.div(den);
+      const cosI = Math.max(1e-6, Number.isFinite(ctx.cosI) ? ctx.cosI : 1);
+      const Rloc = mirrorLocalRadius(this.props, ctx);
+      const R = ctx.fromInside ? -Rloc : Rloc;
+      const C = (ctx.plane === "tangential")
+        ? -2 / (R * cosI)   // uses sign of R
+        : -2 * cosI / R;
+      return applyABCD(q, 1, 0, C, 1);
     },
 
     // Transmission through spherical mirror substrate:
@@ -805,8 +1121,8 @@ export function makeMirror({
     abcdTransmit(q, ctx = {}) {
       if (this.props.flat) return q;
 
-      const R = this.props.R;
-      const nGlass = this.props.n ?? 1.5;
+      const R = mirrorLocalRadius(this.props, ctx);
+      const nGlass = this.indexAt(ctx.lambda);
 
       // If no good radius, nothing to do
       if (!Number.isFinite(R) || Math.abs(R) < 1e-9) return q;
@@ -815,8 +1131,6 @@ export function makeMirror({
       const n1 = Number.isFinite(ctx.n1) ? ctx.n1 : 1.0;
       const n2 = Number.isFinite(ctx.n2) ? ctx.n2 : nGlass;
 
-      let A = 1, B = 0, C = 0, D = 1;
-
       if (surfaceKind === "front") {
         // Determine direction based on refractive indices
         // We assume "exiting" if we are starting in the dense medium (glass)
@@ -825,23 +1139,14 @@ export function makeMirror({
         // Entering (Air->Glass): Needs -R (upstream CoC for Concave)
         // Exiting (Glass->Air):  Needs +R (downstream CoC for Concave)
         const effectiveR = isExiting ? R : -R;
-
-        C = (n1 - n2) / (effectiveR * n2);
-        D = n1 / n2;
-      } else if (surfaceKind === "back") {
+        return _tiltedInterfaceQ(q, n1, n2, effectiveR, ctx);
+      }
+      if (surfaceKind === "back") {
         // Planar interface (R = infinity)
-        C = 0;
-        D = n1 / n2;
-      } else {
-        // Fallback for old behavior
-        C = -((nGlass - 1) / R);
+        return _tiltedInterfaceQ(q, n1, n2, Infinity, ctx);
       }
-
-      const Aq = q.clone().mul(new Complex(A, 0));
-      const num = Aq.add(B);
-      const Cq = q.clone().mul(new Complex(C, 0));
-      const den = Cq.add(D);
-      return num.div(den);
+      // Fallback for old behavior
+      return applyABCD(q, 1, 0, -((nGlass - 1) / R), 1);
     },
 
     jones(j){ return j; }
@@ -855,22 +1160,55 @@ export function makeMirror({
   return el;
 }
 
-export function makePolarizer({axisDeg=0, label}={}){
+// Power transmission for light polarized along the pass axis and across it. An extinction
+// ratio of 0 stands for an ideal (infinite) one, so the blocked axis transmits nothing.
+export function polarizerTransmission(props){
+  const Tpass = Math.min(1, Math.max(0, Number(props?.transmission ?? 1)));
+  const er = Number(props?.extinction ?? 0);
+  return { Tpass, Tblock: (er > 0) ? Tpass / er : 0 };
+}
+
+export function makePolarizer({axisDeg=0, transmission=1, extinction=0, label}={}){
   const mesh = makePanel(0.0036,0.0036, matGlass);
   const el = {
-    id: ELEMENT_ID++, type:"polarizer", mesh, props:{ axisDeg, label },
+    id: ELEMENT_ID++, type:"polarizer", mesh, props:{ axisDeg, transmission, extinction, label },
     abcd(q){ return q; },
-    jones(j, ctx){ const th = axisAngleInUV(this, ctx, this.props.axisDeg); return Rtheta(-th).mul(MPol).mul(Rtheta(th)).mulVec(j); }
+    jones(j, ctx){
+      const th = axisAngleInUV(this, ctx, this.props.axisDeg);
+      const { Tpass, Tblock } = polarizerTransmission(this.props);
+      const M = (Tpass === 1 && Tblock === 0) ? MPol
+        : new C2(new Complex(Math.sqrt(Tpass),0), new Complex(0,0), new Complex(0,0), new Complex(Math.sqrt(Tblock),0));
+      return Rtheta(-th).mul(M).mul(Rtheta(th)).mulVec(j);
+    }
   };
   mesh.userData.element = el; updateElementLabel(el); attachUGIAxis(el); return el;
 }
 
-export function makeWaveplate({type="HWP", delta=Math.PI, axisDeg = 0, label}={}){
+export const WAVEPLATE_ORDERS = ["Fixed", "True zero-order", "Zero-order (compound)", "Multi-order"];
+
+// Physical plate thickness (m) that gives props.delta at the design wavelength. A multi-order
+// plate adds `order` full waves. A compound zero-order plate (two crossed multi-order plates)
+// acts like a true zero-order plate of the thickness difference, so both share this value.
+export function waveplateThickness(props){
+  if (!props || props.orderType === "Fixed" || !props.orderType) return NaN;
+  const lambda0 = Number(props.design_nm) * 1e-9;
+  const waves = Number(props.delta) / (2 * Math.PI) + ((props.orderType === "Multi-order") ? Math.max(0, Math.round(Number(props.order) || 0)) : 0);
+  return waves * lambda0 / birefringence(props.crystal, lambda0);
+}
+
+// Retardance at a vacuum wavelength, δ(λ) = 2π Δn(λ) d / λ; "Fixed" plates ignore λ
+export function waveplateRetardance(props, lambda){
+  const d = waveplateThickness(props);
+  if (!Number.isFinite(d) || !(lambda > 0)) return props.delta;
+  return 2 * Math.PI * birefringence(props.crystal, lambda) * d / lambda;
+}
+
+export function makeWaveplate({type="HWP", delta=Math.PI, axisDeg = 0, orderType="Fixed", crystal="Quartz", design_nm=632.8, order=5, label}={}){
   const mesh = makePanel(0.0036,0.0036, matWave);
   const el = {
-    id: ELEMENT_ID++, type:"waveplate", mesh, props:{ delta, type, axisDeg, label },
+    id: ELEMENT_ID++, type:"waveplate", mesh, props:{ delta, type, axisDeg, orderType, crystal, design_nm, order, label },
     abcd(q){ return q; },
-    jones(j, ctx){ const th = axisAngleInUV(this, ctx, this.props.axisDeg); return Rtheta(-th).mul(MWaveplate(this.props.delta)).mul(Rtheta(th)).mulVec(j); }
+    jones(j, ctx){ const th = axisAngleInUV(this, ctx, this.props.axisDeg); return Rtheta(-th).mul(MWaveplate(waveplateRetardance(this.props, ctx?.lambda))).mul(Rtheta(th)).mulVec(j); }
   };
   mesh.userData.element = el; updateElementLabel(el); attachUGIAxis(el); return el;
 }
@@ -885,11 +1223,66 @@ export function makeFaraday({phiDeg=45, label}={}){
   mesh.userData.element = el; updateElementLabel(el); return el;
 }
 
-export function makeBeamSplitter({R=0.5, polarizing=false, polTransmit="Vertical", label} = {}) {
+// Generic element with a user-entered Jones matrix [[m00, m01], [m10, m11]] ("a+bi" strings),
+// given in its own axis frame and rotated by axisDeg like the polarizer and waveplate
+export function makeJonesElement({m00="1+0i", m01="0+0i", m10="0+0i", m11="1+0i", axisDeg=0, label}={}){
+  const mesh = makePanel(0.0036,0.0036, matJones);
+  const el = {
+    id: ELEMENT_ID++, type:"jonesElement", mesh, props:{ m00, m01, m10, m11, axisDeg, label },
+    abcd(q){ return q; },
+    matrix(){
+      const c = (k) => parseComplex(this.props[k]) ?? new Complex(0,0);
+      return new C2(c("m00"), c("m01"), c("m10"), c("m11"));
+    },
+    jones(j, ctx){ const th = axisAngleInUV(this, ctx, this.props.axisDeg); return Rtheta(-th).mul(this.matrix()).mul(Rtheta(th)).mulVec(j); }
+  };
+  mesh.userData.element = el; updateElementLabel(el); attachUGIAxis(el); return el;
+}
+
+// Ideal depolarizer: keeps S0 and scales the polarized part of the Stokes vector by (1 − depol)
+export function makeDepolarizer({depol=1, label}={}){
+  const mesh = makePanel(0.0036,0.0036, matDepol);
+  const el = {
+    id: ELEMENT_ID++, type:"depolarizer", mesh, props:{ depol, label },
+    abcd(q){ return q; },
+    mueller(){
+      const k = 1 - Math.min(1, Math.max(0, Number(this.props.depol ?? 1)));
+      return [[1,0,0,0],[0,k,0,0],[0,0,k,0],[0,0,0,k]];
+    }
+  };
+  mesh.userData.element = el; updateElementLabel(el); return el;
+}
+
+// Mueller matrix of any element: its own mueller(), or the one implied by its Jones matrix
+// (read off by sending the two basis vectors through jones()).
+export function elementMueller(el, ctx){
+  if (el.mueller) return el.mueller(ctx);
+  if (!el.jones) return null;
+  const c0 = el.jones([new Complex(1,0), new Complex(0,0)], ctx);
+  const c1 = el.jones([new Complex(0,0), new Complex(1,0)], ctx);
+  return muellerFromJones(new C2(c0[0], c1[0], c0[1], c1[1]));
+}
+
+// Power coefficients of a polarizing splitter. p is the polarization it transmits (polTransmit)
+// and s the orthogonal one. Extinction ratios Tp/Ts and Rs/Rp of 0 stand for ideal parts;
+// the leakage terms are capped so that neither polarization gains power.
+export function pbsCoefficients(props){
+  const clamp01 = (v, d) => Math.min(1, Math.max(0, Number(v ?? d)));
+  const Tp = clamp01(props?.Tp, 1), Rs = clamp01(props?.Rs, 1);
+  const erT = Number(props?.extinctionT ?? 0), erR = Number(props?.extinctionR ?? 0);
+  return {
+    Tp, Rs,
+    Ts: Math.min((erT > 0) ? Tp / erT : 0, 1 - Rs),
+    Rp: Math.min((erR > 0) ? Rs / erR : 0, 1 - Tp)
+  };
+}
+
+export function makeBeamSplitter({R=0.5, polarizing=false, polTransmit="Vertical", Tp=1, Rs=1, extinctionT=0, extinctionR=0, label} = {}) {
   const mesh = makePanel(0.0036, 0.0036, matBS);
   const el = {
-    id: ELEMENT_ID++, type:"beamSplitter", mesh, props:{ R, polarizing, polTransmit, label },
-    abcd(q){ return q; }, jones(j){ return j; }
+    id: ELEMENT_ID++, type:"beamSplitter", mesh, props:{ R, polarizing, polTransmit, Tp, Rs, extinctionT, extinctionR, label },
+    abcd(q){ return q; }, jones(j){ return j; },
+    pbsCoefficients(){ return pbsCoefficients(this.props); }
   };
   mesh.userData.element = el; updateElementLabel(el); return el;
 }
@@ -903,11 +1296,55 @@ export function makeBeamBlock({label} = {}) {
   mesh.userData.element = el; updateElementLabel(el); return el;
 }
 
-export function makeGrating({mode="reflective", d_um=1.0, orders=1, label} = {}) {
+export const GRATING_EFFICIENCY_MODELS = ["Equal", "Blaze", "Table"];
+
+// "m: s/p" entries separated by commas, semicolons or new lines ("m: η" sets both);
+// s is polarized along the grooves (TE), p across them (TM)
+export function parseEfficiencyTable(str){
+  const table = new Map();
+  for (const item of String(str ?? "").split(/[,;\n]+/)) {
+    const m = item.trim().match(/^([+\-]?\d+)\s*:\s*([\d.eE+\-]+)(?:\s*\/\s*([\d.eE+\-]+))?$/);
+    if (!m) continue;
+    const es = Math.min(1, Math.max(0, parseFloat(m[2])));
+    const ep = (m[3] !== undefined) ? Math.min(1, Math.max(0, parseFloat(m[3]))) : es;
+    if (Number.isFinite(es) && Number.isFinite(ep)) table.set(parseInt(m[1], 10), { s: es, p: ep });
+  }
+  return table;
+}
+
+// Order the grating is blazed for; first order unless set (0 is a valid choice)
+function _blazeOrder(props){
+  const m = Number(props.blazeOrder ?? 1);
+  return Number.isFinite(m) ? m : 1;
+}
+
+// Littrow blaze angle of a reflective grating: sin θB = |mB| λB / 2d
+export function gratingBlazeAngleDeg(props){
+  const sinB = Math.abs(_blazeOrder(props)) * Number(props.blaze_nm) * 1e-3 / (2 * Number(props.d_um));
+  return (Math.abs(sinB) <= 1) ? THREE.MathUtils.radToDeg(Math.asin(sinB)) : NaN;
+}
+
+export function makeGrating({mode="reflective", d_um=1.0, orders=1, efficiencyModel="Equal", blaze_nm=500, blazeOrder=1,
+  effTable="-1: 0.05/0.08, 0: 0.10/0.15, 1: 0.80/0.65", label} = {}) {
   const mesh = makePanel(0.0042, 0.0042, matGrating);
   const el = {
-    id: ELEMENT_ID++, type:"grating", mesh, props:{ mode, d_um, orders, label },
-    abcd(q){ return q; }, jones(j){ return j; }
+    id: ELEMENT_ID++, type:"grating", mesh, props:{ mode, d_um, orders, efficiencyModel, blaze_nm, blazeOrder, effTable, label },
+    abcd(q){ return q; }, jones(j){ return j; },
+    // Power efficiency {s, p} of order m at wavelength lambda (m), with `count` propagating orders.
+    // "Blaze" is the scalar sawtooth result η = sinc²(m − mB·λB/λ); "Equal" shares power evenly.
+    efficiency(m, lambda, count){
+      const model = this.props.efficiencyModel;
+      if (model === "Table") {
+        return parseEfficiencyTable(this.props.effTable).get(m) ?? { s: 0, p: 0 };
+      }
+      if (model === "Blaze") {
+        const x = m - _blazeOrder(this.props) * (Number(this.props.blaze_nm) * 1e-9) / lambda;
+        const eta = (Math.abs(x) < 1e-9) ? 1 : (Math.sin(Math.PI * x) / (Math.PI * x)) ** 2;
+        return { s: eta, p: eta };
+      }
+      const eta = 1 / Math.max(1, count);
+      return { s: eta, p: eta };
+    }
   };
   mesh.userData.element = el; updateElementLabel(el); return el;
 }
@@ -922,26 +1359,37 @@ export function makeMultimeter({label} = {}){
 }
 
 export function updateElementLabel(el){
+    // Scenes rebuilt in a worker (or under Node) have no DOM and never show labels
+    if (typeof document === 'undefined') return;
     const customLabel = el.props.label;
     const hasCustomLabel = customLabel != null && customLabel.trim() !== '';
     const fmtMm = (m, digits = 1) => Number.isFinite(m) ? (m * 1000).toFixed(digits) : "inf";
     const fmtNum = (v, digits = 2, fallback = "inf") => Number.isFinite(v) ? Number(v).toFixed(digits) : fallback;
+    const curvedMirrorName = (p) => {
+        const kind = conicName(Number(p.conic) || 0);
+        if (kind === "Paraboloid" && Number(p.offAxis)) return "OAP";
+        return (kind === "Sphere") ? "Mirror" : `${kind} Mirror`;
+    };
+    const offAxisText = (p) => Number(p.offAxis) ? `, off-axis ${fmtMm(p.offAxis)} mm` : "";
 
     const defaultText =
         el.type === "lens" ? `Thin Lens f=${(el.props.f * 1000).toFixed(1)} mm` :
-        el.type === "thickLens" ? `Thick Lens (R1=${fmtMm(el.props.R1)} mm, R2=${fmtMm(el.props.R2)} mm, n=${fmtNum(el.props.n, 2, "1.50")}, t=${fmtMm(el.props.thickness, 2)} mm)` :
+        el.type === "thickLens" ? `${(isAspheric(el.props.conic1, el.props.asph1) || isAspheric(el.props.conic2, el.props.asph2)) ? "Aspheric Lens" : "Thick Lens"} (R1=${fmtMm(el.props.R1)} mm, R2=${fmtMm(el.props.R2)} mm, ${(el.props.material && el.props.material !== "Constant") ? el.props.material : `n=${fmtNum(el.props.n, 2, "1.50")}`}, t=${fmtMm(el.props.thickness, 2)} mm)` :
         el.type === "mirror" ? (
             el.props.dichroic ?
-            (el.props.flat ? `Mirror (Dichroic)` : `Mirror (R=${(el.props.R * 1000).toFixed(1)} mm, Dichroic)`) :
-            (el.props.flat ? `Mirror (flat, R=${Math.round((el.props.refl ?? 1) * 100)}%)` : `Mirror (R=${(el.props.R * 1000).toFixed(1)} mm, R=${Math.round((el.props.refl ?? 1) * 100)}%)`)
+            (el.props.flat ? `Mirror (Dichroic)` : `${curvedMirrorName(el.props)} (R=${(el.props.R * 1000).toFixed(1)} mm${offAxisText(el.props)}, Dichroic)`) :
+            (el.props.flat ? `Mirror (flat, R=${Math.round((el.props.refl ?? 1) * 100)}%)` : `${curvedMirrorName(el.props)} (R=${(el.props.R * 1000).toFixed(1)} mm${offAxisText(el.props)}, R=${Math.round((el.props.refl ?? 1) * 100)}%)`)
         ) :
-        el.type === "polarizer" ? `Polarizer` :
+        el.type === "polarizer" ? ((el.props.extinction > 0) ? `Polarizer (${Number(el.props.extinction).toExponential(0)}:1)` : `Polarizer`) :
         el.type === "waveplate" ? (el.props.type === 'Custom' ? `Waveplate (Δ=${THREE.MathUtils.radToDeg(el.props.delta || 0).toFixed(1)}°)`: `Waveplate (${el.props.type})`) :
         el.type === "beamSplitter" ? (el.props.polarizing ? `PBS (T=${el.props.polTransmit[0]})` : `Beam Splitter R=${Math.round(el.props.R * 100)}%`) :
         el.type === "beamBlock" ? `Beam Block` :
         el.type === "grating" ? `Grating (${el.props.mode === "reflective" ? "R" : "T"}, d=${(el.props.d_um).toFixed(3)}µm, ±${el.props.orders|0})` :
+        el.type === "prism" ? `${el.props.prismType} Prism (${el.props.material && el.props.material !== "Constant" ? el.props.material : `n=${fmtNum(el.props.n, 2, "1.50")}`})` :
         el.type === "multimeter" ? `Detector` :
-        el.type === "faraday" ? `Faraday (${el.props.phiDeg}°)` : "";
+        el.type === "faraday" ? `Faraday (${el.props.phiDeg}°)` :
+        el.type === "jonesElement" ? `Jones Element` :
+        el.type === "depolarizer" ? `Depolarizer (${Math.round((el.props.depol ?? 1) * 100)}%)` : "";
 
     const txt = hasCustomLabel ? customLabel : defaultText;
 
@@ -15,15 +15,24 @@ import * as State from './state.js?v=1.0.15';
 import * as Sources from './sources.js?v=1.0.15';
 import {
   clampToPlaneXZ,
-  makeLens, makeThickLens, makeMirror, makeMultimeter,
-  makePolarizer, makeWaveplate, makeFaraday,
-  makeBeamSplitter, makeBeamBlock, makeGrating,
+  makeLens, makeThickLens, makePrism, PRISM_TYPES, makeMirror, makeMultimeter,
+  makePolarizer, makeWaveplate, makeFaraday, makeDepolarizer, makeJonesElement, elementMueller,
+  WAVEPLATE_ORDERS, waveplateThickness, waveplateRetardance, polarizerTransmission, pbsCoefficients,
+  makeBeamSplitter, makeBeamBlock, makeGrating, GRATING_EFFICIENCY_MODELS, gratingBlazeAngleDeg,
   updateElementLabel,
-  refreshMirrorVisual, refreshThickLensVisual
+  refreshMirrorVisual, refreshThickLensVisual, refreshPrismVisual,
+  conicName,
+  copySharedProps
 } from './elements.js?v=1.0.15';
 import * as pol from './polarization.js?v=1.0.15';
 import * as Propagation from './propagation.js?v=1.0.15';
+import * as TraceClient from './trace-client.js?v=1.0.15';
+import { snapshotScene, INFO_MAPS } from './snapshot.js?v=1.0.15';
 import { buildTransverseBasis } from './beam-frame.js?v=1.0.15';
+import { MATERIAL_NAMES, DEFAULT_SELLMEIER, DEFAULT_CAUCHY, refractiveIndex, BIREFRINGENT_NAMES } from './materials.js?v=1.0.15';
+import { Complex, parseComplex } from './optics.js?v=1.0.15';
+import { solveModeMatching } from './modematch.js?v=1.0.15';
+import { outputBeamRows } from './readouts.js?v=1.0.15';
 
 /* ========= Scene ========= */
 const app = document.getElementById('app');
@@ -75,6 +84,7 @@ const polGroup = pol.createPolGroup(scene);
 const params = {
     maxSegments: 60,
     beamWidthScale: 1,
+    ghostThreshold: 0.01,   // trace Fresnel ghosts down to this fraction of the launched intensity
     showPolarization: true,
     showGrid: true,
     showLabels: true,
@@ -94,21 +104,110 @@ function doRecompute() {
     _recomputePending = true;
     requestAnimationFrame(() => {
         _recomputePending = false;
+        pruneCavities();
+        if (TraceClient.isAvailable()) {
+            // The worker traces a copy; sources are squared up here so the copy matches the bench
+            for (const s of Sources.sources) { clampToPlaneXZ(s.group); Sources.syncSourceW0ZR(s); }
+            TraceClient.request(snapshotScene({ sources: Sources.sources, elements, cavities, params }));
+            return;
+        }
         // REFACTORED: Call the propagation module
         Propagation.recompute({
             sources: Sources.sources, elements, params,
             beamGroup, polGroup, tcontrols,
             ribbonMeshes, gratingLastInfo, meterLastInfo, elementLastInfo,
+            cavities, cavityLastInfo, damageLastInfo, apertureLastInfo,
             addSource: Sources.addSource, removeSourceByGroup: Sources.removeSourceByGroup, syncSourceW0ZR: Sources.syncSourceW0ZR,
             clampToPlaneXZ, refreshAfterRecompute
         });
+        updateFringeReadout();
+        updateDamageHighlights();
     });
 }
 
+// A trace finished in the worker: take over its readouts and redraw the beams
+let _uiRefreshAfterTrace = false;
+function applyWorkerTrace(result) {
+    const maps = { gratingLastInfo, meterLastInfo, elementLastInfo, cavityLastInfo, damageLastInfo, apertureLastInfo };
+    for (const name of INFO_MAPS) {
+        maps[name].clear();
+        for (const [id, info] of result.infos[name]) maps[name].set(id, info);
+    }
+    Propagation.drawTrace(result, { beamGroup, polGroup, ribbonMeshes, params });
+    setTraceStatus('');
+    updateFringeReadout();
+    updateDamageHighlights();
+    if (result.meterUpdated && tcontrols.object?.userData.element?.type === 'multimeter') refreshAfterRecompute();
+    if (_uiRefreshAfterTrace && !TraceClient.isBusy()) {
+        _uiRefreshAfterTrace = false;
+        refreshSelectedUI();
+    }
+}
+
+// Last trace error, shown in the corner HUD until a trace succeeds again
+const traceStatus = document.getElementById('trace-status');
+function setTraceStatus(text) {
+    if (!traceStatus) return;
+    traceStatus.textContent = text;
+    traceStatus.style.display = text ? '' : 'none';
+}
+
+// A single worker trace threw; its edit is dropped and the next one is traced as usual
+function onWorkerTraceError(err) {
+    setTraceStatus(`Trace failed: ${err.message.split('\n')[0]}`);
+    if (_uiRefreshAfterTrace && !TraceClient.isBusy()) {
+        _uiRefreshAfterTrace = false;
+        refreshSelectedUI();
+    }
+}
+
+// Red outline around every element whose incident peak irradiance exceeds its damage threshold
+const damageHelpers = new Map();   // element id -> THREE.BoxHelper
+function updateDamageHighlights() {
+    for (const [id, helper] of damageHelpers) {
+        const el = elements.find(e => e.id === id);
+        if (el && damageLastInfo.get(id)?.exceeded) continue;
+        scene.remove(helper);
+        helper.geometry.dispose(); helper.material.dispose();
+        damageHelpers.delete(id);
+    }
+    for (const e of elements) {
+        if (!damageLastInfo.get(e.id)?.exceeded) continue;
+        if (!damageHelpers.has(e.id)) {
+            const helper = new THREE.BoxHelper(e.mesh, 0xff4d4f);
+            scene.add(helper);
+            damageHelpers.set(e.id, helper);
+        }
+        damageHelpers.get(e.id).update();
+    }
+}
+
+// Detectors that see more than one coherent beam are listed in a corner overlay,
+// so fringes can be watched while some other element is being dragged
+const fringeHud = document.getElementById('fringe-readout');
+function updateFringeReadout() {
+    if (!fringeHud) return;
+    fringeHud.replaceChildren();
+    for (const e of elements) {
+        if (e.type !== 'multimeter') continue;
+        const info = meterLastInfo.get(e.id);
+        if (!info || !(info.beamsSummed > 1)) continue;
+        const row = document.createElement('div');
+        row.textContent = `${e.props.label || 'Detector ' + e.id}: I = ${info.I_coherent.toFixed(3)} • V = ${info.visibility.toFixed(3)}`;
+        fringeHud.appendChild(row);
+    }
+    fringeHud.style.display = fringeHud.childElementCount ? '' : 'none';
+}
+
 let _uiRefreshTimer = null;
 function refreshAfterRecompute() {
     if (_uiRefreshTimer) clearTimeout(_uiRefreshTimer);
-    _uiRefreshTimer = setTimeout(() => { _uiRefreshTimer = null; refreshSelectedUI(); }, 120);
+    _uiRefreshTimer = setTimeout(() => {
+        _uiRefreshTimer = null;
+        // Readouts are still being traced: rebuild the panel once they arrive
+        if (TraceClient.isBusy()) { _uiRefreshAfterTrace = true; return; }
+        refreshSelectedUI();
+    }, 120);
 }
 
 function live(ctrl, handler) {
@@ -184,11 +283,12 @@ fileButtonContainer.appendChild(saveBtnCtrl.domElement.querySelector('button'));
 fileButtonContainer.appendChild(loadBtnCtrl.domElement.querySelector('button'));
 dummyGui.destroy();
 
-let beamWidthScaleController, showGridController, showLabelsController, labelFontSizeController;
+let beamWidthScaleController, ghostThresholdController, showGridController, showLabelsController, labelFontSizeController;
 
 const fViz = gui.addFolder("Visualization");
 live(fViz.add(params, "maxSegments", 4, 200, 1).name("Max Interactions"), doRecompute);
 beamWidthScaleController = live(fViz.add(params, "beamWidthScale", 0.01, 300, 0.01).name("Beam Width Scale"), doRecompute);
+ghostThresholdController = live(fViz.add(params, "ghostThreshold", 0, 0.1, 0.0005).name("Ghost Threshold"), doRecompute);
 fViz.add(params, "showPolarization").name("Show Polarization").onChange(v => { pol.setVisible(polGroup, v); doRecompute(); });
 showGridController = fViz.add(params, 'showGrid').name('Show Grid').onChange(v => { grid.visible = v; });
 showLabelsController = fViz.add(params, 'showLabels').name('Show Labels').onChange(v => {
@@ -237,6 +337,9 @@ function spawnAt(type, pos) {
         case 'thickLens':
             newObject = addElement(makeThickLens({ R1: 0.05, R2: -0.05, n: 1.5, thickness: 0.004 }), pos).mesh;
             break;
+        case 'prism':
+            newObject = addElement(makePrism({ prismType: 'Equilateral' }), pos).mesh;
+            break;
         case 'mirror': 
             newObject = addElement(makeMirror({ flat: true, R: 2.0, refl: 1.0 }), pos).mesh; 
             break;
@@ -249,6 +352,12 @@ function spawnAt(type, pos) {
         case 'faraday': 
             newObject = addElement(makeFaraday({ phiDeg: 45 }), pos).mesh; 
             break;
+        case 'depolarizer':
+            newObject = addElement(makeDepolarizer({ depol: 1 }), pos).mesh;
+            break;
+        case 'jonesElement':
+            newObject = addElement(makeJonesElement(), pos).mesh;
+            break;
         case 'pbs': 
             newObject = addElement(makeBeamSplitter({ R: 0.5, polarizing: false, polTransmit: 'Vertical' }), pos).mesh; 
             break;
@@ -457,6 +566,7 @@ function applyDirectFromUI(op) {
                 clampThickLensSizeToR(gizObj, tag.props.R1, tag.props.R2);
                 refreshThickLensVisual(tag);
             }
+            if (tag?.type === 'prism') refreshPrismVisual(tag);
         }
 
         doRecompute(); refreshAfterRecompute(); State.pushHistory(); refreshSelectedUI();
@@ -552,6 +662,7 @@ function addElement(el, pos) {
         clampThickLensSizeToR(el.mesh, el.props.R1, el.props.R2);
         refreshThickLensVisual(el);
     }
+    if (el.type === 'prism') refreshPrismVisual(el);
     tcontrols.attach(el.mesh);
     if (el.ugi?.handle) { ugiPickables.push(el.ugi.handle); }
 
@@ -741,6 +852,7 @@ Object.values(GizmoUI.tcontrols).forEach(ctrl => {
       clampThickLensSizeToR(ctrl.object, tag.props.R1, tag.props.R2);
       refreshThickLensVisual(tag);
     }
+    if (tag?.type === 'prism') refreshPrismVisual(tag);
   }
   refreshSelectedUI();
   doRecompute();
@@ -826,10 +938,13 @@ function duplicateSelectedElements() {
       switch (el.type) {
         case 'lens': maker = makeLens; break;
         case 'thickLens': maker = makeThickLens; break;
+        case 'prism': maker = makePrism; break;
         case 'mirror': maker = makeMirror; break;
         case 'polarizer': maker = makePolarizer; break;
         case 'waveplate': maker = makeWaveplate; break;
         case 'faraday': maker = makeFaraday; break;
+        case 'depolarizer': maker = makeDepolarizer; break;
+        case 'jonesElement': maker = makeJonesElement; break;
         case 'beamSplitter': maker = makeBeamSplitter; break;
         case 'beamBlock': maker = makeBeamBlock; break;
         case 'grating': maker = makeGrating; break;
@@ -837,12 +952,13 @@ function duplicateSelectedElements() {
       }
       if (maker) {
         const newProps = JSON.parse(JSON.stringify(el.props));
-        const newEl = maker(newProps);
+        const newEl = copySharedProps(maker(newProps), newProps);
         addElement(newEl, el.mesh.position.clone().add(offset));
         newEl.mesh.quaternion.copy(el.mesh.quaternion);
         newEl.mesh.scale.copy(el.mesh.scale);
         if (newEl.type === 'mirror') refreshMirrorVisual(newEl);
         if (newEl.type === 'thickLens') refreshThickLensVisual(newEl);
+        if (newEl.type === 'prism') refreshPrismVisual(newEl);
         GizmoUI.correctLabelScale(newEl.mesh, params.labelFontSize);
         newSelection.push(newEl.mesh);
       }
@@ -881,6 +997,152 @@ const beamGroup = new THREE.Group(); scene.add(beamGroup);
 const gratingLastInfo = new Map();
 const meterLastInfo = new Map();
 const elementLastInfo = new Map();
+const damageLastInfo = new Map();
+const apertureLastInfo = new Map();
+
+/* ========= Mode Matching ========= */
+const modeMatch = {
+    target_w0_um: 50,
+    target_dist_mm: 300,
+    focals_mm: "50, 75, 100, 125, 150, 200, 250, 300",
+    sortBy: 'Sensitivity'
+};
+const modeMatchResults = new Map();   // element id -> solutions from the last Solve
+
+function solveModeMatchFor(e, info) {
+    const lambda = Number(info.wavelength_nm) * 1e-9;
+    const M2 = Number(info.M2 ?? 1);
+    const w0 = Number(modeMatch.target_w0_um) * 1e-6;
+    const focals = String(modeMatch.focals_mm).split(/[\s,;]+/).map(Number).filter(f => Number.isFinite(f) && f !== 0).map(f => f * 1e-3);
+    // Horizontal-axis q of the beam leaving this element
+    const qIn = new Complex((info.z_to_waist_x_mm ?? info.z_to_waist_mm) * 1e-3, info.zR_mm * 1e-3);
+    modeMatchResults.set(e.id, solveModeMatching({
+        qIn,
+        zR_target: Math.PI * w0 * w0 / (lambda * M2),
+        z_target: Number(modeMatch.target_dist_mm) * 1e-3,
+        focals,
+        sortBy: modeMatch.sortBy === 'Length' ? 'length' : 'sensitivity'
+    }));
+    refreshSelectedUI();
+}
+
+function placeModeMatchSolution(e, info, sol) {
+    const dir = info.outgoingDir.clone().normalize();
+    const origin = new THREE.Vector3(info.x_mm, info.y_mm, info.z_mm).multiplyScalar(1e-3);
+    let last = null;
+    for (const l of sol.lenses) {
+        last = addElement(makeLens({ f: l.f }), origin.clone().addScaledVector(dir, l.z));
+        last.mesh.rotation.y = Math.atan2(dir.x, dir.z);   // face the beam
+    }
+    modeMatchResults.delete(e.id);
+    if (last) _toggleSelection(last.mesh, false);
+    doRecompute(); refreshAfterRecompute(); State.pushHistory();
+}
+
+// Lens layouts that turn the beam leaving `e` into the target waist (free space assumed)
+function buildModeMatchUI(folder, e, info) {
+    const f = folder.addFolder('Mode Matching');
+    const sols = modeMatchResults.get(e.id);
+    if (!sols) f.close();
+    f.add(modeMatch, 'target_w0_um', 1, 5000, 1).name('Target w₀ (µm)');
+    f.add(modeMatch, 'target_dist_mm', 1, 3000, 1).name('Target Distance (mm)');
+    f.add(modeMatch, 'focals_mm').name('Focal Lengths (mm)');
+    f.add(modeMatch, 'sortBy', ['Sensitivity', 'Length']).name('Rank By');
+    f.add({ solve: () => solveModeMatchFor(e, info) }, 'solve').name('Solve');
+    if (!sols) return;
+    if (!sols.length) {
+        const ctrl = f.add({ txt: "No one- or two-lens layout found" }, 'txt').name('Result');
+        ctrl.disable?.();
+        return;
+    }
+    sols.slice(0, 8).forEach((sol, i) => {
+        const layout = sol.lenses.map(l => `f${(l.f * 1e3).toFixed(0)} @ ${(l.z * 1e3).toFixed(1)}`).join(', ');
+        const detail = `η ${(sol.efficiency * 100).toFixed(1)}%, ±1 mm: −${(sol.sensitivity * 100).toFixed(2)}%, L ${(sol.length * 1e3).toFixed(0)} mm`;
+        f.add({ place: () => placeModeMatchSolution(e, info, sol) }, 'place').name(`Place ${i + 1}: ${layout} (${detail})`);
+    });
+}
+
+/* ========= Resonators ========= */
+// Cavities declared from selected mirrors: { id, mirrorIds (beam order), type, wavelength_nm }
+const cavities = [];
+const cavityLastInfo = new Map();
+let CAVITY_ID = 1;
+
+function addCavity({ mirrorIds, type = 'linear', wavelength_nm = 1064 }) {
+    const cav = { id: CAVITY_ID++, mirrorIds: [...mirrorIds], type, wavelength_nm };
+    cavities.push(cav);
+    return cav;
+}
+
+function defineCavityFromSelection() {
+    const mirrors = [...selected].map(o => elements.find(e => e.mesh === o)).filter(e => e?.type === 'mirror');
+    if (mirrors.length < 2) return;
+    addCavity({
+        mirrorIds: mirrors.map(m => m.id),
+        wavelength_nm: Number(Sources.sources[0]?.props.wavelength_nm ?? 1064)
+    });
+    doRecompute(); refreshAfterRecompute(); State.pushHistory();
+}
+
+function removeCavity(id) {
+    const i = cavities.findIndex(c => c.id === id);
+    if (i >= 0) cavities.splice(i, 1);
+    doRecompute(); refreshAfterRecompute(); State.pushHistory();
+}
+
+// Drop cavities whose mirrors were deleted
+function pruneCavities() {
+    for (let i = cavities.length - 1; i >= 0; i--) {
+        if (!cavities[i].mirrorIds.every(id => elements.some(e => e.id === id))) cavities.splice(i, 1);
+    }
+}
+
+// Resonator readouts for every cavity the selected mirror belongs to
+function buildCavityUI(folder, e) {
+    for (const cav of cavities.filter(c => c.mirrorIds.includes(e.id))) {
+        const f = folder.addFolder(`Resonator ${cav.id}`);
+        const res = cavityLastInfo.get(cav.id);
+        const mirrorName = (idx) => {
+            const el = elements.find(x => x.id === cav.mirrorIds[idx]);
+            return el?.props.label || `M${idx + 1}`;
+        };
+        const mk = (name, val) => {
+            const ctrl = f.add({ txt: val }, "txt").name(name);
+            const dom = ctrl.domElement?.closest?.(".controller");
+            if (dom) { dom.style.pointerEvents = "none"; dom.style.opacity = "0.9"; }
+        };
+        const fmtXY = (x, y, digits) => {
+            if (!isFinite(x) && !isFinite(y)) return "—";
+            if (isFinite(x) && isFinite(y) && Math.abs(x - y) <= 1e-6 * Math.max(1, Math.abs(x))) return x.toFixed(digits);
+            const f1 = (v) => isFinite(v) ? v.toFixed(digits) : "—";
+            return `${f1(x)} / ${f1(y)}`;
+        };
+
+        const types = cav.mirrorIds.length >= 3 ? ['linear', 'ring'] : ['linear'];
+        f.add(cav, 'type', types).name('Type')
+            .onChange(() => { doRecompute(); refreshAfterRecompute(); State.pushHistory(); });
+        live(f.add(cav, 'wavelength_nm', 200, 2000, 1).name('Wavelength (nm)'), doRecompute);
+
+        mk("Mirrors", cav.mirrorIds.map((_, i) => mirrorName(i)).join(" → "));
+        if (!res) { mk("Status", "Mirrors overlap"); }
+        else {
+            mk("Stability (A+D)/2 x / y", fmtXY(res.x.m, res.y.m, 4));
+            if (isFinite(res.g1g2)) mk("g1·g2", res.g1g2.toFixed(4));
+            mk("Stable", res.stable ? "yes" : (res.x.stable || res.y.stable ? "one plane only" : "no"));
+            if (res.x.stable || res.y.stable) {
+                mk("Waist w₀ x / y (µm)", fmtXY(res.x.waist?.w0_um, res.y.waist?.w0_um, 2));
+                const waist = res.x.waist || res.y.waist;
+                if (waist) mk("Waist Position", `${mirrorName(waist.from)} → ${mirrorName(waist.to)}, ${waist.distance_mm.toFixed(2)} mm`);
+                mk(`w at ${mirrorName(0)} x / y (µm)`, fmtXY(res.x.w_um, res.y.w_um, 2));
+                mk("Round-trip Gouy x / y (deg)", fmtXY(res.x.gouy_rad * 180 / Math.PI, res.y.gouy_rad * 180 / Math.PI, 2));
+                mk("Transverse Spacing x / y (MHz)", fmtXY(res.x.tms_Hz / 1e6, res.y.tms_Hz / 1e6, 3));
+            }
+            mk("FSR (MHz)", (res.fsr_Hz / 1e6).toFixed(3));
+            mk("Round Trip (mm)", (res.roundTrip_m * 1e3).toFixed(2));
+        }
+        f.add({ remove: () => removeCavity(cav.id) }, 'remove').name('Remove Cavity');
+    }
+}
 
 /* ========= Polarization ellipse helper ========= */
 function dominantAxisLabel(vec) {
@@ -972,10 +1234,118 @@ function svgPolEllipsePanel(info) {
     return `<svg width="160" height="120" viewBox="-80 -60 160 120" xmlns="http://www.w3.org/2000/svg"><style>.axis{stroke:#7d8590;stroke-width:1}.ell{stroke:#e6edf3;stroke-width:2;fill:none}.box{fill:none;stroke:#30363d;stroke-width:1}</style><line class="axis" x1="-64" y1="0" x2="64" y2="0"/><line class="axis" x1="0" y1="-44" x2="0" y2="44"/><path class="ell" d="${pathD}"/><rect class="box" x="-75" y="-55" width="150" height="110" rx="6" ry="6"/>${axisLabels}</svg>`;
 }
 
+// Spot diagram of the real rays on a meter (µm about the centroid) with the Airy disk dashed
+function svgSpotDiagram(info) {
+    const spot = info?.spot;
+    if (!spot?.pts?.length) return '';
+    const extent = Math.max(1e-6, info.spot_geo_um, isFinite(info.spot_airy_um) ? info.spot_airy_um : 0);
+    const scale = 46 / extent;
+    const dots = spot.pts.map(([x, y, c]) =>
+        `<circle cx="${(x * scale).toFixed(2)}" cy="${(-y * scale).toFixed(2)}" r="1.2" fill="#${c.toString(16).padStart(6, '0')}"/>`
+    ).join('');
+    const airy = isFinite(info.spot_airy_um)
+        ? `<circle class="airy" cx="0" cy="0" r="${(info.spot_airy_um * scale).toFixed(2)}"/>` : '';
+    return `<svg width="160" height="120" viewBox="-80 -60 160 120" xmlns="http://www.w3.org/2000/svg"><style>.axis{stroke:#7d8590;stroke-width:1}.airy{stroke:#e6edf3;stroke-width:1;stroke-dasharray:3 2;fill:none}.box{fill:none;stroke:#30363d;stroke-width:1}</style><line class="axis" x1="-64" y1="0" x2="64" y2="0"/><line class="axis" x1="0" y1="-50" x2="0" y2="50"/>${airy}${dots}<rect class="box" x="-75" y="-55" width="150" height="110" rx="6" ry="6"/><text x="72" y="-44" fill="#7d8590" font-size="9" text-anchor="end">±${extent.toPrecision(3)} µm</text></svg>`;
+}
+
+// Transverse ray fans: error (µm) against normalized pupil coordinate, tangential and sagittal
+function svgRayFans(info) {
+    const fans = [[info?.spot?.fanT, "ey(py)", -38], [info?.spot?.fanS, "ex(px)", 38]];
+    if (!fans.some(([f]) => f?.length)) return '';
+    const eMax = Math.max(1e-6, ...fans.flatMap(([f]) => (f || []).map(([, e]) => Math.abs(e))));
+    const plots = fans.map(([f, name, cx]) => {
+        const pathD = (f || []).map(([p, e], idx) =>
+            `${idx === 0 ? 'M' : 'L'} ${(cx + p * 32).toFixed(2)} ${(-e / eMax * 40).toFixed(2)}`
+        ).join(' ');
+        return `<line class="axis" x1="${cx - 34}" y1="0" x2="${cx + 34}" y2="0"/><line class="axis" x1="${cx}" y1="-44" x2="${cx}" y2="44"/><path class="fan" d="${pathD}"/><text x="${cx}" y="52" fill="#7d8590" font-size="9" text-anchor="middle">${name}</text>`;
+    }).join('');
+    return `<svg width="160" height="120" viewBox="-80 -60 160 120" xmlns="http://www.w3.org/2000/svg"><style>.axis{stroke:#7d8590;stroke-width:1}.fan{stroke:#e6edf3;stroke-width:1.5;fill:none}.box{fill:none;stroke:#30363d;stroke-width:1}</style>${plots}<rect class="box" x="-75" y="-55" width="150" height="110" rx="6" ry="6"/><text x="72" y="-46" fill="#7d8590" font-size="9" text-anchor="end">±${eMax.toPrecision(3)} µm</text></svg>`;
+}
+
 /* ========= Selected element panel ========= */
 let elFolder = gui.addFolder("Selected Element");
 const ui = { kind: "--" };
 
+// Material picker shared by thick lenses, prisms and curved-mirror substrates.
+// "Constant" uses the scalar Index n; catalog and custom entries are dispersive.
+function addMaterialControls(folder, e) {
+    const fmtList = arr => (arr || []).map(v => Number(v)).join(", ");
+    const parseList = (txt, count) => {
+        const vals = String(txt).split(/[,\s]+/).filter(Boolean).map(Number);
+        return (vals.length === count && vals.every(Number.isFinite)) ? vals : null;
+    };
+    const setRowVisible = (ctrl, visible) => {
+        const row = ctrl?.domElement?.closest?.(".controller");
+        if (row) row.style.display = visible ? "" : "none";
+    };
+
+    ui.mat_name = MATERIAL_NAMES.includes(e.props.material) ? e.props.material : "Constant";
+    ui.mat_n = Number.isFinite(Number(e.props.n)) ? Number(e.props.n) : 1.5;
+    const sell = e.props.sellmeier || DEFAULT_SELLMEIER;
+    const cau = e.props.cauchy || DEFAULT_CAUCHY;
+    ui.mat_sellB = fmtList(sell.B);
+    ui.mat_sellC = fmtList(sell.C);
+    ui.mat_cauchy = fmtList([cau.A, cau.B, cau.C]);
+    const nd = { txt: "" };
+
+    const applied = () => {
+        nd.txt = refractiveIndex(e.props, 587.6e-9).toFixed(5);
+        ndCtrl?.updateDisplay();
+        updateElementLabel(e);
+        GizmoUI.correctLabelScale(e.mesh, params.labelFontSize);
+        doRecompute();
+    };
+
+    folder.add(ui, "mat_name", MATERIAL_NAMES).name("Material")
+        .onChange(v => {
+            e.props.material = v;
+            if (v === "Custom Sellmeier" && !e.props.sellmeier) e.props.sellmeier = JSON.parse(JSON.stringify(DEFAULT_SELLMEIER));
+            if (v === "Custom Cauchy" && !e.props.cauchy) e.props.cauchy = { ...DEFAULT_CAUCHY };
+            syncRows();
+            applied();
+            refreshAfterRecompute();
+            State.pushHistory();
+        });
+
+    const nCtrl = live(folder.add(ui, "mat_n").name("Index n"),
+        v => {
+            const nVal = Number(v);
+            e.props.n = (Number.isFinite(nVal) && nVal > 0) ? nVal : 1.5;
+            applied();
+        });
+
+    const onSellmeier = () => {
+        const B = parseList(ui.mat_sellB, 3), C = parseList(ui.mat_sellC, 3);
+        if (!B || !C) return;
+        e.props.sellmeier = { B, C };
+        applied(); refreshAfterRecompute(); State.pushHistory();
+    };
+    const sellBCtrl = folder.add(ui, "mat_sellB").name("Sellmeier B1, B2, B3").onFinishChange(onSellmeier);
+    const sellCCtrl = folder.add(ui, "mat_sellC").name("Sellmeier C1..C3 (µm²)").onFinishChange(onSellmeier);
+    const cauchyCtrl = folder.add(ui, "mat_cauchy").name("Cauchy A, B, C (µm)")
+        .onFinishChange(v => {
+            const abc = parseList(v, 3);
+            if (!abc) return;
+            e.props.cauchy = { A: abc[0], B: abc[1], C: abc[2] };
+            applied(); refreshAfterRecompute(); State.pushHistory();
+        });
+
+    const ndCtrl = folder.add(nd, "txt").name("n_d (587.6 nm)");
+    const ndRow = ndCtrl.domElement?.closest?.(".controller");
+    if (ndRow) { ndRow.style.pointerEvents = "none"; ndRow.style.opacity = "0.9"; }
+    nd.txt = refractiveIndex(e.props, 587.6e-9).toFixed(5);
+    ndCtrl.updateDisplay();
+
+    function syncRows() {
+        const name = e.props.material || "Constant";
+        setRowVisible(nCtrl, name === "Constant");
+        setRowVisible(sellBCtrl, name === "Custom Sellmeier");
+        setRowVisible(sellCCtrl, name === "Custom Sellmeier");
+        setRowVisible(cauchyCtrl, name === "Custom Cauchy");
+    }
+    syncRows();
+}
+
 function refreshSelectedUI() {
     elFolder.destroy();
     elFolder = gui.addFolder("Selected Element");
@@ -1049,6 +1419,12 @@ function refreshSelectedUI() {
     const delCtrl = actionsFolder.add(buttonActions, 'Delete');
     const centerCtrl = actionsFolder.add(buttonActions, 'Center to Beam');
 
+    // Two or more mirrors (in click order) can be declared a resonator
+    const allMirrors = [...selected].every(o => elements.find(x => x.mesh === o)?.type === 'mirror');
+    if (allMirrors) {
+        elFolder.add({ cavity: defineCavityFromSelection }, 'cavity').name('Define Cavity (click order)');
+    }
+
     // Same styling you already use
     const container = actionsFolder.domElement.querySelector('.children');
     if (container) {
@@ -1104,26 +1480,9 @@ function refreshSelectedUI() {
         };
 
         if (info) {
-            // Special display for Multimeter
-            if (tag?.type === 'multimeter') {
-                mk("Beam Radius w (µm)", (isFinite(info.w_um) ? info.w_um.toFixed(3) : "—"));
-                mk("Radius of Curvature (mm)", (isFinite(info.R_mm) ? info.R_mm.toFixed(2) : "—"));
-                mk("Wavelength (nm)", (isFinite(info.wavelength_nm) ? info.wavelength_nm.toFixed(2) : "—"));
-                mk("Relative Intensity", (isFinite(info.Irel) ? info.Irel.toFixed(3) : "—"));
-            } else {
-                // Standard display for all other elements
-                mk("Relative Intensity", (isFinite(info.Irel) ? info.Irel.toFixed(3) : "—"));
-                mk("Waist w₀ (µm)", (isFinite(info.w0_um) ? info.w0_um.toFixed(3) : "—"));
-                mk("Distance to Waist (mm)", (isFinite(info.z_to_waist_mm) ? info.z_to_waist_mm.toFixed(2) : "—"));
-                mk("Rayleigh zR (mm)", (isFinite(info.zR_mm) ? info.zR_mm.toFixed(2) : "—"));
-            }
+            for (const [name, txt] of outputBeamRows(tag?.type, info)) mk(name, txt);
 
-            // Polarization angles and ellipse graphic (common to all)
-            const psi = info.psi_deg ?? info.psiDeg;
-            const chi = info.chi_deg ?? info.chiDeg;
-            mk("Polarization Ψ (deg)", isFinite(psi) ? psi.toFixed(2) : "—");
-            mk("Ellipticity χ (deg)", isFinite(chi) ? chi.toFixed(2) : "—");
-            
+            // Polarization ellipse graphic (common to all)
             const holder = document.createElement('div');
             holder.className = 'pol-ellipse-holder';
             holder.style.padding = '8px 8px 2px 8px';
@@ -1131,6 +1490,11 @@ function refreshSelectedUI() {
             holder.style.justifyContent = 'center';
             holder.style.alignItems = 'center';
             holder.innerHTML = svgPolEllipsePanel(info);
+            if (tag?.type === 'multimeter' && info.spot) {
+                holder.style.flexDirection = 'column';
+                holder.style.gap = '6px';
+                holder.innerHTML += svgSpotDiagram(info) + svgRayFans(info);
+            }
 
             // Remove previous holders we added (if any) and append
             try {
@@ -1206,7 +1570,6 @@ function refreshSelectedUI() {
 
             ui.tl_R1_mm = (Number(e.props.R1) || 0) * 1e3;
             ui.tl_R2_mm = (Number(e.props.R2) || 0) * 1e3;
-            ui.tl_n = Number.isFinite(Number(e.props.n)) ? Number(e.props.n) : 1.5;
 
             let tMin_m = Math.max(1e-6, Number(e.props._thicknessMin) || 1e-6);
             let tCur_m = Number(e.props.thickness);
@@ -1241,14 +1604,7 @@ function refreshSelectedUI() {
                     doRecompute();
                 });
 
-            live(elFolder.add(ui, "tl_n").name("Index n"),
-                v => {
-                    const nVal = Number(v);
-                    e.props.n = (Number.isFinite(nVal) && nVal > 0) ? nVal : 1.5;
-                    updateElementLabel(e);
-                    GizmoUI.correctLabelScale(e.mesh, params.labelFontSize);
-                    doRecompute();
-                });
+            addMaterialControls(elFolder, e);
 
             live(elFolder.add(ui, "tl_thick_mm", tMin_mm, tMax_mm, 0.01).name("Thickness (mm)"),
                 v => {
@@ -1261,6 +1617,51 @@ function refreshSelectedUI() {
                     GizmoUI.correctLabelScale(e.mesh, params.labelFontSize);
                     doRecompute();
                 });
+
+            // Conic and even-asphere terms; coefficients are entered in mm units (A4 in mm⁻³, …)
+            // and stored in SI: A_2p[m] = A_2p[mm] · 1000^(2p-1)
+            const fAsph = elFolder.addFolder("Aspheric Surfaces");
+            const toMm = (A, i) => (Number(A) || 0) / Math.pow(1e3, 2 * i + 3);
+            const fromMm = (A, i) => A * Math.pow(1e3, 2 * i + 3);
+            const reshape = () => {
+                refreshThickLensVisual(e);
+                updateElementLabel(e);
+                GizmoUI.correctLabelScale(e.mesh, params.labelFontSize);
+                doRecompute();
+            };
+            [["1", "Front"], ["2", "Back"]].forEach(([k, name]) => {
+                ui[`tl_conic${k}`] = Number(e.props[`conic${k}`]) || 0;
+                ui[`tl_asph${k}`] = (e.props[`asph${k}`] || [0, 0, 0, 0]).map((A, i) => toMm(A, i).toExponential(3)).join(", ");
+                live(fAsph.add(ui, `tl_conic${k}`, -10, 10, 0.001).name(`${name} Conic K`),
+                    v => { e.props[`conic${k}`] = Number(v) || 0; reshape(); });
+                fAsph.add(ui, `tl_asph${k}`).name(`${name} A4…A10 (mm)`)
+                    .onFinishChange(txt => {
+                        const vals = String(txt).split(/[,\s]+/).filter(Boolean).map(Number);
+                        if (vals.length > 4 || !vals.every(Number.isFinite)) return;
+                        while (vals.length < 4) vals.push(0);
+                        e.props[`asph${k}`] = vals.map(fromMm);
+                        reshape(); refreshAfterRecompute(); State.pushHistory();
+                    });
+            });
+        }
+    }
+
+    // Prism
+    if (tag?.type === "prism") {
+        const e = elements.find(x => x.mesh === selObj); if (e) {
+            ui.pr_type = PRISM_TYPES.includes(e.props.prismType) ? e.props.prismType : "Equilateral";
+            ui.pr_size_mm = (Number(e.props.size) || 0.006) * 1e3;
+            const reshape = () => {
+                refreshPrismVisual(e);
+                updateElementLabel(e);
+                GizmoUI.correctLabelScale(e.mesh, params.labelFontSize);
+                doRecompute();
+            };
+            elFolder.add(ui, "pr_type", PRISM_TYPES).name("Prism Type")
+                .onChange(v => { e.props.prismType = v; reshape(); refreshAfterRecompute(); State.pushHistory(); });
+            live(elFolder.add(ui, "pr_size_mm", 1, 50, 0.1).name("Size (mm)"),
+                v => { e.props.size = Math.max(1e-3, Number(v)) * 1e-3; reshape(); });
+            addMaterialControls(elFolder, e);
         }
     }
 
@@ -1271,8 +1672,6 @@ if (tag?.type === "mirror") {
         ui.R_mm = e.props.R * 1e3;
         ui.m_refl = (e.props.refl ?? 1);
         ui.m_dich = !!e.props.dichroic;
-        // Material index of refraction for spherical mirror substrate
-        ui.m_n = (e.props.n ?? 1.5);
 
         ui.reflMin_nm = e.props.reflBand_nm?.min ?? 400;
         ui.reflMax_nm = e.props.reflBand_nm?.max ?? 700;
@@ -1345,18 +1744,50 @@ if (tag?.type === "mirror") {
             );
         }
 
-                // Show substrate index only for spherical mirrors (dummy variable for now)
+        // --- Conic constant and off-axis distance (curved only): paraboloids, ellipsoids, OAPs ---
         if (!e.props.flat && Number.isFinite(e.props.R)) {
-            live(
-                elFolder.add(ui, "m_n").name("Index n"),
-                v => {
-                    const nVal = Number(v);
-                    // Keep it sane; fall back to 1.5 if invalid
-                    e.props.n = (Number.isFinite(nVal) && nVal > 0) ? nVal : 1.5;
-                    // Currently unused in ray-trace, but stored for future upgrades
-                    doRecompute();
-                }
-            );
+            ui.m_conic = Number(e.props.conic) || 0;
+            ui.m_offAxis_mm = (Number(e.props.offAxis) || 0) * 1e3;
+            let offAxisCtrl = null;
+            const reshape = () => {
+                // refreshMirrorVisual pulls the off-axis distance back inside the rim of a closed conic
+                refreshMirrorVisual(e);
+                ui.m_offAxis_mm = (Number(e.props.offAxis) || 0) * 1e3;
+                offAxisCtrl?.updateDisplay();
+                updateElementLabel(e); GizmoUI.correctLabelScale(e.mesh, params.labelFontSize);
+                doRecompute(); refreshAfterRecompute(); State.pushHistory();
+            };
+            elFolder.add(ui, "m_conic", -10, 10, 0.001).name("Conic K")
+                .onFinishChange(v => { e.props.conic = Number(v) || 0; reshape(); });
+            offAxisCtrl = elFolder.add(ui, "m_offAxis_mm", -500, 500, 0.1).name("Off-Axis (mm)")
+                .onFinishChange(v => { e.props.offAxis = (Number(v) || 0) * 1e-3; reshape(); });
+            // A 90° OAP is a paraboloid cut at the distance 2f = R from its axis
+            ui.m_oap90 = () => { e.props.conic = -1; e.props.offAxis = Math.abs(e.props.R); reshape(); };
+            elFolder.add(ui, "m_oap90").name("Make 90° OAP");
+
+            const k = Number(e.props.conic) || 0;
+            const d = Number(e.props.offAxis) || 0;
+            const fParent = e.props.R / 2;
+            const info = { surface: conicName(k), angle: "—", fRefl: "—" };
+            if (conicName(k) === "Paraboloid") {
+                // Axis-parallel light leaves the aperture centre at 2·atan(d / 2f), towards a focus f + d²/4f away
+                info.angle = `${THREE.MathUtils.radToDeg(2 * Math.atan(Math.abs(d) / (2 * Math.abs(fParent)))).toFixed(2)}°`;
+                info.fRefl = `${((fParent + d * d / (4 * fParent)) * 1e3).toFixed(2)} mm`;
+            }
+            const rows = [
+                elFolder.add(info, "surface").name("Surface"),
+                elFolder.add(info, "angle").name("Off-Axis Angle"),
+                elFolder.add(info, "fRefl").name("Reflected Focal Length")
+            ];
+            rows.forEach(c => {
+                const dom = c.domElement?.closest?.(".controller");
+                if (dom) { dom.style.pointerEvents = "none"; dom.style.opacity = "0.9"; }
+            });
+        }
+
+        // Substrate material only matters for spherical mirrors (refraction through the body)
+        if (!e.props.flat && Number.isFinite(e.props.R)) {
+            addMaterialControls(elFolder, e);
         }
 
         const reflCtrl = live(elFolder.add(ui, "m_refl", 0, 1, 0.01).name("Reflectance"),
@@ -1427,6 +1858,16 @@ if (tag?.type === "mirror") {
                     if (e.ugi && e.ugi.setAngle) e.ugi.setAngle(Number(v));
                     doRecompute();
                 });
+            ui.pol_T = e.props.transmission ?? 1;
+            ui.pol_er = e.props.extinction ?? 0;
+            live(elFolder.add(ui, "pol_T", 0, 1, 0.001).name("Transmission (pass)"),
+                v => { e.props.transmission = Math.min(1, Math.max(0, Number(v))); doRecompute(); });
+            live(elFolder.add(ui, "pol_er").name("Extinction Ratio (0 = ideal)"),
+                v => { e.props.extinction = Math.max(0, Number(v) || 0); updateElementLabel(e); GizmoUI.correctLabelScale(e.mesh, params.labelFontSize); doRecompute(); });
+            const { Tblock } = polarizerTransmission(e.props);
+            const ctrl = elFolder.add({ txt: Tblock > 0 ? Tblock.toExponential(2) : "0" }, 'txt').name("Transmission (blocked)");
+            const dom = ctrl.domElement?.closest?.(".controller");
+            if (dom) { dom.style.pointerEvents = "none"; dom.style.opacity = "0.9"; }
         }
     }
     if (tag?.type === "waveplate") {
@@ -1484,6 +1925,46 @@ if (tag?.type === "mirror") {
                 });
 
             toggleDeltaControl(e.props.type === 'Custom');
+
+            // Dispersive retardance: the nominal Δ above holds at the design wavelength only
+            const fDisp = elFolder.addFolder('Dispersion');
+            ui.wp_order = e.props.orderType ?? "Fixed";
+            ui.wp_crystal = e.props.crystal ?? "Quartz";
+            ui.wp_design_nm = e.props.design_nm ?? 632.8;
+            ui.wp_m = e.props.order ?? 5;
+            const dispRows = [];
+            const syncDisp = () => {
+                const fixed = (ui.wp_order === "Fixed");
+                dispRows.forEach(c => {
+                    const row = c.domElement?.closest?.(".controller");
+                    if (row) row.style.display = (fixed || (c === orderCtrl && ui.wp_order !== "Multi-order")) ? "none" : "";
+                });
+            };
+            fDisp.add(ui, "wp_order", WAVEPLATE_ORDERS).name("Construction")
+                .onChange(v => { e.props.orderType = v; syncDisp(); doRecompute(); refreshAfterRecompute(); State.pushHistory(); });
+            dispRows.push(fDisp.add(ui, "wp_crystal", BIREFRINGENT_NAMES).name("Crystal")
+                .onChange(v => { e.props.crystal = v; doRecompute(); refreshAfterRecompute(); State.pushHistory(); }));
+            dispRows.push(live(fDisp.add(ui, "wp_design_nm", 200, 2000, 0.1).name("Design λ (nm)"),
+                v => { e.props.design_nm = Number(v); doRecompute(); }));
+            const orderCtrl = live(fDisp.add(ui, "wp_m", 1, 50, 1).name("Order m"),
+                v => { e.props.order = Math.max(1, Math.round(Number(v))); doRecompute(); });
+            dispRows.push(orderCtrl);
+
+            const d = waveplateThickness(e.props);
+            const info = elementLastInfo.get(e.id);
+            if (Number.isFinite(d)) {
+                const row = (name, txt) => {
+                    const ctrl = fDisp.add({ txt }, 'txt').name(name);
+                    const dom = ctrl.domElement?.closest?.(".controller");
+                    if (dom) { dom.style.pointerEvents = "none"; dom.style.opacity = "0.9"; }
+                };
+                row("Plate Thickness (µm)", (d * 1e6).toFixed(2));
+                if (info && isFinite(info.wavelength_nm)) {
+                    const dl = waveplateRetardance(e.props, info.wavelength_nm * 1e-9);
+                    row(`Δ at ${info.wavelength_nm.toFixed(1)} nm (waves)`, (dl / (2 * Math.PI)).toFixed(4));
+                }
+            }
+            syncDisp();
         }
     }
     if (tag?.type === "faraday") {
@@ -1493,6 +1974,53 @@ if (tag?.type === "mirror") {
                 v => { e.props.phiDeg = Number(v); updateElementLabel(e); GizmoUI.correctLabelScale(e.mesh, params.labelFontSize); doRecompute(); });
         }
     }
+    if (tag?.type === "depolarizer") {
+        const e = elements.find(x => x.mesh === selObj); if (e) {
+            ui.depol = e.props.depol ?? 1;
+            live(elFolder.add(ui, "depol", 0, 1, 0.01).name("Depolarization"),
+                v => { e.props.depol = Math.min(1, Math.max(0, Number(v))); updateElementLabel(e); GizmoUI.correctLabelScale(e.mesh, params.labelFontSize); doRecompute(); });
+        }
+    }
+
+    if (tag?.type === "jonesElement") {
+        const e = elements.find(x => x.mesh === selObj); if (e) {
+            ui.axis_deg = e.props.axisDeg;
+            live(elFolder.add(ui, "axis_deg", -180, 180, 1).name("Axis angle (deg)"),
+                v => {
+                    e.props.axisDeg = Number(v);
+                    if (e.ugi && e.ugi.setAngle) e.ugi.setAngle(Number(v));
+                    doRecompute();
+                });
+            // Matrix entries in the element's axis frame; unparseable input snaps back
+            for (const [key, name] of [["m00", "J₀₀ (a+bi)"], ["m01", "J₀₁ (a+bi)"], ["m10", "J₁₀ (a+bi)"], ["m11", "J₁₁ (a+bi)"]]) {
+                ui[`jones_${key}`] = e.props[key];
+                const ctrl = elFolder.add(ui, `jones_${key}`).name(name);
+                ctrl.onFinishChange(v => {
+                    if (!parseComplex(v)) { ui[`jones_${key}`] = e.props[key]; ctrl.updateDisplay(); return; }
+                    e.props[key] = String(v).trim();
+                    doRecompute();
+                    refreshAfterRecompute();
+                    State.pushHistory();
+                });
+            }
+        }
+    }
+
+    // Mueller matrix of polarization elements, in the frame of the beam that last crossed them
+    if (["polarizer", "waveplate", "faraday", "depolarizer", "jonesElement"].includes(tag?.type)) {
+        const e = elements.find(x => x.mesh === selObj);
+        const info = e && elementLastInfo.get(e.id);
+        const M = e && elementMueller(e, info ? { dir: info.outgoingDir, basisUp: info.basisUp, lambda: info.wavelength_nm * 1e-9 } : undefined);
+        if (M) {
+            const fM = elFolder.addFolder('Mueller Matrix');
+            fM.close();
+            M.forEach((row, i) => {
+                const ctrl = fM.add({ txt: row.map(v => (Math.abs(v) < 5e-4 ? 0 : v).toFixed(3).padStart(6)).join(" ") }, 'txt').name(`Row ${i}`);
+                const dom = ctrl.domElement?.closest?.(".controller");
+                if (dom) { dom.style.pointerEvents = "none"; dom.style.opacity = "0.9"; dom.style.fontFamily = "monospace"; }
+            });
+        }
+    }
 
     // Beam Splitter / PBS
     if (tag?.type === "beamSplitter") {
@@ -1531,6 +2059,30 @@ if (tag?.type === "mirror") {
             ui._bsRController.disable?.();
         }
         toggleTransmitControl(e.props.polarizing);
+
+        // Real PBS cubes: insertion loss and finite extinction in both arms
+        if (e.props.polarizing) {
+            const fP = elFolder.addFolder('PBS Performance');
+            ui.pbs_Tp = e.props.Tp ?? 1;
+            ui.pbs_Rs = e.props.Rs ?? 1;
+            ui.pbs_erT = e.props.extinctionT ?? 0;
+            ui.pbs_erR = e.props.extinctionR ?? 0;
+            live(fP.add(ui, "pbs_Tp", 0, 1, 0.001).name("Tp"),
+                v => { e.props.Tp = Math.min(1, Math.max(0, Number(v))); doRecompute(); });
+            live(fP.add(ui, "pbs_Rs", 0, 1, 0.001).name("Rs"),
+                v => { e.props.Rs = Math.min(1, Math.max(0, Number(v))); doRecompute(); });
+            live(fP.add(ui, "pbs_erT").name("Extinction Tp:Ts (0 = ideal)"),
+                v => { e.props.extinctionT = Math.max(0, Number(v) || 0); doRecompute(); });
+            live(fP.add(ui, "pbs_erR").name("Extinction Rs:Rp (0 = ideal)"),
+                v => { e.props.extinctionR = Math.max(0, Number(v) || 0); doRecompute(); });
+            const c = pbsCoefficients(e.props);
+            const fmtPct = (v) => (v === 0) ? "0 %" : (v >= 1e-3 ? `${(v * 100).toFixed(2)} %` : `${(v * 100).toExponential(2)} %`);
+            for (const [name, v] of [["Tp (actual)", c.Tp], ["Ts (actual)", c.Ts], ["Rp (actual)", c.Rp], ["Rs (actual)", c.Rs]]) {
+                const ctrl = fP.add({ txt: fmtPct(v) }, 'txt').name(name);
+                const dom = ctrl.domElement?.closest?.(".controller");
+                if (dom) { dom.style.pointerEvents = "none"; dom.style.opacity = "0.9"; }
+            }
+        }
     }
 
     // ----- Diffraction Grating -----
@@ -1596,11 +2148,42 @@ if (tag?.type === "mirror") {
             doRecompute();
         });
 
+        // Diffraction efficiency: equal split, scalar blaze model or a user table per order (s/p)
+        const fEff = elFolder.addFolder("Efficiency");
+        ui.gr_eff_model = e.props.efficiencyModel ?? "Equal";
+        fEff.add(ui, "gr_eff_model", GRATING_EFFICIENCY_MODELS).name("Model")
+            .onChange(v => { e.props.efficiencyModel = v; doRecompute(); refreshAfterRecompute(); State.pushHistory(); });
+        if (ui.gr_eff_model === "Blaze") {
+            ui.gr_blaze_nm = e.props.blaze_nm ?? 500;
+            ui.gr_blaze_order = e.props.blazeOrder ?? 1;
+            const cB = fEff.add(ui, "gr_blaze_nm", 200, 3000, 1).name("Blaze λ (nm)");
+            const cBO = fEff.add(ui, "gr_blaze_order", -5, 5, 1).name("Blaze Order");
+            const blazeRow = { txt: "" };
+            const syncBlazeAngle = () => {
+                const a = gratingBlazeAngleDeg(e.props);
+                blazeRow.txt = (e.props.mode === "reflective" && Number.isFinite(a)) ? `${a.toFixed(2)}° (Littrow)` : "—";
+                cA.updateDisplay();
+            };
+            const cA = fEff.add(blazeRow, "txt").name("Blaze Angle");
+            const dom = cA.domElement?.closest?.(".controller");
+            if (dom) { dom.style.pointerEvents = "none"; dom.style.opacity = "0.9"; }
+            syncBlazeAngle();
+            live(cB, v => { e.props.blaze_nm = Number(v); syncBlazeAngle(); doRecompute(); });
+            live(cBO, v => { e.props.blazeOrder = Math.round(Number(v)); syncBlazeAngle(); doRecompute(); });
+        } else if (ui.gr_eff_model === "Table") {
+            ui.gr_eff_table = e.props.effTable ?? "";
+            fEff.add(ui, "gr_eff_table").name("m: ηs/ηp, …")
+                .onFinishChange(v => { e.props.effTable = String(v); doRecompute(); refreshAfterRecompute(); State.pushHistory(); });
+        }
+
         const info = gratingLastInfo.get(e.id);
         const fr = elFolder.addFolder("Orders (Show, θ, Dispersion)");
         if (info) {
             const hdr = { text: `Incidence α ≈ ${info.alphaDeg.toFixed(2)}°` };
             fr.add(hdr, "text").name("α (deg)").disable?.();
+            if (Math.abs(info.gammaDeg ?? 0) > 0.01) {
+                fr.add({ text: `Conical γ ≈ ${info.gammaDeg.toFixed(2)}° (along grooves)` }, "text").name("γ (deg)").disable?.();
+            }
 
             if (!e.props.visibleOrders) e.props.visibleOrders = {};
 
@@ -1609,7 +2192,9 @@ if (tag?.type === "mirror") {
                 if (e.props.visibleOrders[m] === undefined) {
                     e.props.visibleOrders[m] = true;
                 }
-                const label = `m=${m}: θ=${ent.thetaDeg.toFixed(2)}°, D=${(ent.disp_deg_per_nm === Infinity ? '∞' : ent.disp_deg_per_nm.toFixed(4))} °/nm`;
+                const pct = (x) => (x * 100).toFixed(1);
+                const eff = (Math.abs(ent.eff_s - ent.eff_p) < 1e-4) ? `${pct(ent.eff_s)}%` : `${pct(ent.eff_s)}/${pct(ent.eff_p)}% (s/p)`;
+                const label = `m=${m}: θ=${ent.thetaDeg.toFixed(2)}°, D=${(ent.disp_deg_per_nm === Infinity ? '∞' : ent.disp_deg_per_nm.toFixed(4))} °/nm, η=${eff}`;
                 fr.add(e.props.visibleOrders, m).name(label)
                     .onFinishChange(() => {
                         doRecompute();
@@ -1622,6 +2207,53 @@ if (tag?.type === "mirror") {
         }
     }
 
+    if (e?.type === 'mirror') buildCavityUI(elFolder, e);
+
+    // ----- Clear aperture (any element) -----
+    if (e) {
+        const clip = apertureLastInfo.get(e.id);
+        const fAp = elFolder.addFolder('Aperture');
+        if (!clip?.warning) fAp.close();
+        ui.aperture_shape = e.props.aperture_shape ?? 'Rectangular';
+        live(fAp.add(ui, 'aperture_shape', ['Rectangular', 'Round']).name('Shape'),
+            v => { e.props.aperture_shape = v; doRecompute(); });
+        const row = (name, txt) => {
+            const ctrl = fAp.add({ txt }, 'txt').name(name);
+            const dom = ctrl.domElement?.closest?.(".controller");
+            if (dom) { dom.style.pointerEvents = "none"; dom.style.opacity = "0.9"; }
+            return dom;
+        };
+        row("Transmitted (worst beam)", clip ? `${(clip.transmitted * 100).toFixed(2)} %` : "100 %");
+        if (clip?.lost_W > 0) row("Clipped Power (mW)", (clip.lost_W * 1e3).toPrecision(4));
+        if (clip?.warning) {
+            const dom = row("Warning", "Beam clipped by aperture");
+            if (dom) dom.style.color = '#ff4d4f';
+        }
+    }
+
+    // ----- Damage threshold (any element) -----
+    if (e) {
+        const dmg = damageLastInfo.get(e.id);
+        const fDmg = elFolder.addFolder('Damage');
+        if (!dmg?.exceeded) fDmg.close();
+        ui.damage_W_cm2 = Number(e.props.damage_W_cm2 ?? 0);
+        live(fDmg.add(ui, 'damage_W_cm2', 0, 1e9).name('Threshold (W/cm², 0 = off)'),
+            v => { e.props.damage_W_cm2 = Math.max(0, Number(v)); doRecompute(); });
+        const row = (name, txt) => {
+            const ctrl = fDmg.add({ txt }, 'txt').name(name);
+            const dom = ctrl.domElement?.closest?.(".controller");
+            if (dom) { dom.style.pointerEvents = "none"; dom.style.opacity = "0.9"; }
+            return dom;
+        };
+        row("Incident Peak (W/cm²)", dmg ? dmg.peakIrr_W_cm2.toPrecision(4) : "—");
+        if (dmg?.fluence_J_cm2 > 0) row("Incident Fluence (J/cm²)", dmg.fluence_J_cm2.toPrecision(4));
+        if (dmg?.exceeded) {
+            const dom = row("Warning", `Exceeds threshold ×${(dmg.peakIrr_W_cm2 / dmg.threshold_W_cm2).toFixed(2)}`);
+            if (dom) dom.style.color = '#ff4d4f';
+        }
+    }
+    if (e && info && isFinite(info.zR_mm) && info.outgoingDir) buildModeMatchUI(elFolder, e, info);
+
     const actionsFolder = elFolder.addFolder('Actions');
     const buttonActions = {
         'Duplicate': duplicateSelectedElements,
@@ -1667,8 +2299,9 @@ if (tag?.type === "mirror") {
 
 // A map of functions for recreating elements from their type string, needed by state.js
 const recreateFuncs = {
-    'lens': makeLens, 'thickLens': makeThickLens, 'mirror': makeMirror, 'polarizer': makePolarizer,
-    'waveplate': makeWaveplate, 'faraday': makeFaraday, 'beamSplitter': makeBeamSplitter,
+    'lens': makeLens, 'thickLens': makeThickLens, 'prism': makePrism, 'mirror': makeMirror, 'polarizer': makePolarizer,
+    'waveplate': makeWaveplate, 'faraday': makeFaraday, 'depolarizer': makeDepolarizer,
+    'jonesElement': makeJonesElement, 'beamSplitter': makeBeamSplitter,
     'beamBlock': makeBeamBlock, 'grating': makeGrating, 'multimeter': makeMultimeter
 };
 
@@ -1677,10 +2310,13 @@ State.init({
     addSource: Sources.addSource, addElement, removeSourceByGroup: Sources.removeSourceByGroup, syncSourceW0ZR: Sources.syncSourceW0ZR,
     doRecompute, refreshSelectedUI,
     Ruler, GizmoUI,
-    beamWidthScaleController, showGridController, showLabelsController, labelFontSizeController,
-    recreateFuncs, refreshMirrorVisual, refreshThickLensVisual
+    beamWidthScaleController, ghostThresholdController, showGridController, showLabelsController, labelFontSizeController,
+    recreateFuncs, refreshMirrorVisual, refreshThickLensVisual, refreshPrismVisual, copySharedProps,
+    cavities, addCavity
 });
 
+TraceClient.init({ onResult: applyWorkerTrace, onFailure: () => doRecompute(), onError: onWorkerTraceError });
+
 /* ========= Demo ========= */
 addElement(makeLens({ f: 0.05 }), new THREE.Vector3(0, 0, 0.05));
 const mirrorEl = addElement(makeMirror({ flat: true, refl: 1.0 }), new THREE.Vector3(0, 0, 0.135));
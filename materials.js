@@ -0,0 +1,117 @@
+/*!
+ * BeamBench Copyright (C) 2025 VisuPhy
+ * SPDX-License-Identifier: GPL-3.0-or-later
+ */
+
+// materials.js — glass catalog and wavelength-dependent refractive index n(λ)
+
+// Sellmeier: n² = 1 + Σ Bᵢ λ² / (λ² − Cᵢ), λ in µm, Cᵢ in µm²
+export const MATERIAL_CATALOG = {
+  "N-BK7":        { model: "sellmeier", B: [1.03961212, 0.231792344, 1.01046945], C: [0.00600069867, 0.0200179144, 103.560653] },
+  "Fused Silica": { model: "sellmeier", B: [0.6961663, 0.4079426, 0.8974794],     C: [0.00467914826, 0.0135120631, 97.9340025] },
+  "CaF2":         { model: "sellmeier", B: [0.5675888, 0.4710914, 3.8484723],     C: [0.00252642999, 0.0100783328, 1200.55597] },
+  "SF11":         { model: "sellmeier", B: [1.73759695, 0.313747346, 1.89878101], C: [0.013188707, 0.0623068142, 155.23629] },
+};
+
+// "Constant" keeps the element's scalar props.n; the custom entries read their
+// coefficients from props.sellmeier / props.cauchy.
+export const MATERIAL_NAMES = ["Constant", ...Object.keys(MATERIAL_CATALOG), "Custom Sellmeier", "Custom Cauchy"];
+
+export const DEFAULT_SELLMEIER = { B: [...MATERIAL_CATALOG["N-BK7"].B], C: [...MATERIAL_CATALOG["N-BK7"].C] };
+export const DEFAULT_CAUCHY = { A: 1.5046, B: 0.0042, C: 0 }; // λ in µm
+
+function _sellmeier(B, C, lambdaUm, A = 1){
+  const l2 = lambdaUm * lambdaUm;
+  let n2 = A;
+  for (let i = 0; i < Math.min(B.length, C.length); i++) {
+    const den = l2 - Number(C[i]);
+    if (Math.abs(den) > 1e-12) n2 += Number(B[i]) * l2 / den;
+  }
+  return Math.sqrt(Math.max(1e-6, n2));
+}
+
+function _cauchy({ A, B = 0, C = 0 }, lambdaUm){
+  const l2 = lambdaUm * lambdaUm;
+  return Number(A) + Number(B) / l2 + Number(C) / (l2 * l2);
+}
+
+/**
+ * Refractive index of an element's material at a vacuum wavelength.
+ * @param {object} props - Element props ({ material, n, sellmeier, cauchy }).
+ * @param {number} lambda - Wavelength in meters.
+ * @returns {number}
+ */
+export function refractiveIndex(props, lambda){
+  const nConst = (Number.isFinite(Number(props?.n)) && Number(props.n) > 0) ? Number(props.n) : 1.5;
+  const lambdaUm = Number(lambda) * 1e6;
+  if (!Number.isFinite(lambdaUm) || lambdaUm <= 0) return nConst;
+
+  const name = props?.material || "Constant";
+  let n = NaN;
+  if (MATERIAL_CATALOG[name]) {
+    const m = MATERIAL_CATALOG[name];
+    n = _sellmeier(m.B, m.C, lambdaUm);
+  } else if (name === "Custom Sellmeier") {
+    const s = props.sellmeier || DEFAULT_SELLMEIER;
+    n = _sellmeier(s.B || [], s.C || [], lambdaUm);
+  } else if (name === "Custom Cauchy") {
+    n = _cauchy(props.cauchy || DEFAULT_CAUCHY, lambdaUm);
+  }
+  return (Number.isFinite(n) && n > 0) ? n : nConst;
+}
+
+// Uniaxial crystals for waveplates: ordinary/extraordinary Sellmeier terms (A + Σ, λ in µm).
+// Quartz: Ghosh (1999); MgF2: Dodge (1984). Mica has no standard fit, so its slow − fast
+// index difference is an approximate Cauchy curve for muscovite.
+export const BIREFRINGENT_CATALOG = {
+  "Quartz": {
+    o: { A: 1.28604141, B: [1.07044083, 1.10202242], C: [1.00585997e-2, 100] },
+    e: { A: 1.28851804, B: [1.09509924, 1.15662475], C: [1.02101864e-2, 100] }
+  },
+  "MgF2": {
+    o: { A: 1, B: [0.48755108, 0.39875031, 2.3120353], C: [0.04338408 ** 2, 0.09461442 ** 2, 23.793604 ** 2] },
+    e: { A: 1, B: [0.41344023, 0.50497499, 2.4904862], C: [0.03684262 ** 2, 0.09076162 ** 2, 23.771995 ** 2] }
+  },
+  "Mica": { dn: { A: 0.00413, B: 0.000143, C: 0 } }
+};
+export const BIREFRINGENT_NAMES = Object.keys(BIREFRINGENT_CATALOG);
+
+/**
+ * Birefringence |nₑ − nₒ| of a waveplate crystal at a vacuum wavelength.
+ * @param {string} name - Key of BIREFRINGENT_CATALOG.
+ * @param {number} lambda - Wavelength in meters.
+ * @returns {number}
+ */
+export function birefringence(name, lambda){
+  const m = BIREFRINGENT_CATALOG[name] || BIREFRINGENT_CATALOG["Quartz"];
+  const lambdaUm = Number(lambda) * 1e6;
+  if (!Number.isFinite(lambdaUm) || lambdaUm <= 0) return NaN;
+  if (m.dn) return _cauchy(m.dn, lambdaUm);
+  return Math.abs(_sellmeier(m.e.B, m.e.C, lambdaUm, m.e.A) - _sellmeier(m.o.B, m.o.C, lambdaUm, m.o.A));
+}
+
+const C_LIGHT = 299792458;
+
+/**
+ * Group index and dispersion per unit length of a medium, from finite differences of n(λ).
+ * GVD = λ³/(2πc²)·n″ and TOD = −λ⁴/(4π²c³)·(3n″ + λn‴).
+ * @param {(lambda:number)=>number} indexAt - n at a vacuum wavelength in meters.
+ * @param {number} lambda - Wavelength in meters.
+ * @returns {{n:number, ng:number, gvd:number, tod:number}} gvd in s²/m, tod in s³/m.
+ */
+export function groupDispersion(indexAt, lambda){
+  const h = 2e-3 * lambda;
+  const n0 = indexAt(lambda);
+  const np = indexAt(lambda + h), nm = indexAt(lambda - h);
+  const np2 = indexAt(lambda + 2 * h), nm2 = indexAt(lambda - 2 * h);
+  const d1 = (np - nm) / (2 * h);
+  const d2 = (np - 2 * n0 + nm) / (h * h);
+  const d3 = (np2 - 2 * np + 2 * nm - nm2) / (2 * h * h * h);
+  const l2 = lambda * lambda;
+  return {
+    n: n0,
+    ng: n0 - lambda * d1,
+    gvd: lambda * l2 * d2 / (2 * Math.PI * C_LIGHT * C_LIGHT),
+    tod: -(l2 * l2) * (3 * d2 + lambda * d3) / (4 * Math.PI * Math.PI * C_LIGHT ** 3)
+  };
+}
@@ -0,0 +1,154 @@
+/*!
+ * BeamBench Copyright (C) 2025 VisuPhy
+ * SPDX-License-Identifier: GPL-3.0-or-later
+ */
+
+// modematch.js — one- and two-lens mode-matching from a known beam to a target waist
+import { Complex } from './optics.js?v=1.0.15';
+
+const MIN_GAP_M = 0.005;        // clearance between the input plane, lenses and the target waist
+const MIN_EFFICIENCY = 0.95;    // one-lens candidates below this coupling are dropped
+const SENSITIVITY_STEP_M = 1e-3;
+
+// Power coupling between two round Gaussian modes given at the same plane
+export function modeOverlap(q1, q2){
+  const dz = q1.re - q2.re;
+  const sz = q1.im + q2.im;
+  return (4 * q1.im * q2.im) / (dz * dz + sz * sz);
+}
+
+// q at the target plane after thin lenses [{ f, z }] (z measured from the input plane)
+function _propagate(qIn, lenses, zTarget){
+  let q = qIn, z = 0;
+  for (const l of lenses) {
+    q = q.add(l.z - z);
+    q = q.inv().add(-1 / l.f).inv();
+    z = l.z;
+  }
+  return q.add(zTarget - z);
+}
+
+// Kogelnik's single-lens waist transformation: distances from the input waist to the lens
+// and from the lens to the output waist, for Rayleigh ranges zA -> zB and branch s = ±1
+function _waistToWaist(zA, zB, f, s){
+  const f0sq = zA * zB;
+  if (f * f < f0sq) return null;
+  const root = Math.sqrt(f * f - f0sq);
+  return { dIn: f + s * Math.sqrt(zA / zB) * root, dOut: f + s * Math.sqrt(zB / zA) * root };
+}
+
+function _rate(qIn, qTarget, zTarget, lenses){
+  const efficiency = modeOverlap(_propagate(qIn, lenses, zTarget), qTarget);
+  // Worst coupling loss when any one lens is displaced by ±1 mm
+  let worst = 0;
+  lenses.forEach((_, i) => {
+    for (const dz of [-SENSITIVITY_STEP_M, SENSITIVITY_STEP_M]) {
+      const moved = lenses.map((l, j) => (j === i) ? { f: l.f, z: l.z + dz } : l);
+      worst = Math.max(worst, efficiency - modeOverlap(_propagate(qIn, moved, zTarget), qTarget));
+    }
+  });
+  return { lenses, efficiency, sensitivity: worst, length: lenses[lenses.length - 1].z };
+}
+
+function _oneLens(qIn, qTarget, zTarget, f){
+  const lo = MIN_GAP_M, hi = zTarget - MIN_GAP_M;
+  if (hi <= lo) return [];
+  const eta = (z) => modeOverlap(_propagate(qIn, [{ f, z }], zTarget), qTarget);
+  const N = 300, step = (hi - lo) / N;
+  const vals = [];
+  for (let i = 0; i <= N; i++) vals.push(eta(lo + i * step));
+
+  const out = [];
+  for (let i = 0; i <= N; i++) {
+    const left = (i > 0) ? vals[i - 1] : -Infinity, right = (i < N) ? vals[i + 1] : -Infinity;
+    if (vals[i] < left || vals[i] < right) continue;
+    // Golden-section refinement around the local maximum
+    let a = Math.max(lo, lo + (i - 1) * step), b = Math.min(hi, lo + (i + 1) * step);
+    const g = (Math.sqrt(5) - 1) / 2;
+    for (let k = 0; k < 40; k++) {
+      const c = b - g * (b - a), d = a + g * (b - a);
+      if (eta(c) > eta(d)) b = d; else a = c;
+    }
+    const z = (a + b) / 2;
+    if (eta(z) >= MIN_EFFICIENCY) out.push(_rate(qIn, qTarget, zTarget, [{ f, z }]));
+  }
+  return out;
+}
+
+// Two lenses: scan the intermediate waist's Rayleigh range and solve the length constraint
+function _twoLens(zW1, zR1, zTarget, zR2, f1, f2, qIn, qTarget){
+  const zmMax = Math.min((f1 * f1) / zR1, (f2 * f2) / zR2);
+  if (!(zmMax > 0)) return [];
+  const zmMin = zmMax * 1e-8;
+  const out = [];
+  for (const s1 of [-1, 1]) {
+    for (const s2 of [-1, 1]) {
+      const layout = (zm) => {
+        const a = _waistToWaist(zR1, zm, f1, s1);
+        const b = _waistToWaist(zm, zR2, f2, s2);
+        if (!a || !b) return null;
+        const p1 = zW1 + a.dIn;
+        const p2 = p1 + a.dOut + b.dIn;
+        return { p1, p2, residual: p2 + b.dOut - zTarget };
+      };
+      const N = 400;
+      let prev = null, prevZm = 0;
+      for (let i = 0; i <= N; i++) {
+        const zm = zmMin * Math.pow(zmMax / zmMin, i / N);
+        const cur = layout(zm);
+        if (cur && prev && Math.sign(cur.residual) !== Math.sign(prev.residual)) {
+          let a = prevZm, b = zm, fa = prev.residual;
+          for (let k = 0; k < 60; k++) {
+            const m = Math.sqrt(a * b);
+            const fm = layout(m)?.residual;
+            if (!Number.isFinite(fm)) break;
+            if (Math.sign(fm) === Math.sign(fa)) { a = m; fa = fm; } else b = m;
+          }
+          const sol = layout(Math.sqrt(a * b));
+          if (sol && sol.p1 >= MIN_GAP_M && sol.p2 - sol.p1 >= MIN_GAP_M && zTarget - sol.p2 >= MIN_GAP_M) {
+            const rated = _rate(qIn, qTarget, zTarget, [{ f: f1, z: sol.p1 }, { f: f2, z: sol.p2 }]);
+            if (rated.efficiency >= 0.999) out.push(rated);
+          }
+        }
+        prev = cur; prevZm = zm;
+      }
+    }
+  }
+  return out;
+}
+
+/**
+ * Enumerate one- and two-lens layouts that turn the beam at an input plane into a target waist.
+ * Distances are measured along the beam from the input plane; free space is assumed in between.
+ * @param {object} opts
+ * @param {Complex} opts.qIn - Beam parameter at the input plane (q = z + i·zR, meters).
+ * @param {number} opts.zR_target - Rayleigh range of the target waist (m).
+ * @param {number} opts.z_target - Distance from the input plane to the target waist (m).
+ * @param {number[]} opts.focals - Available focal lengths (m).
+ * @param {string} [opts.sortBy="sensitivity"] - "sensitivity" or "length".
+ * @returns {{lenses:{f:number,z:number}[], efficiency:number, sensitivity:number, length:number}[]}
+ */
+export function solveModeMatching({ qIn, zR_target, z_target, focals, sortBy = "sensitivity" }){
+  const fs = [...new Set((focals || []).filter(f => Number.isFinite(f) && f !== 0))];
+  if (!(qIn?.im > 0) || !(zR_target > 0) || !(z_target > 2 * MIN_GAP_M) || !fs.length) return [];
+  const qTarget = new Complex(0, zR_target);
+  const zW1 = -qIn.re;   // input waist position relative to the input plane
+
+  const found = [];
+  for (const f of fs) found.push(..._oneLens(qIn, qTarget, z_target, f));
+  for (const f1 of fs) {
+    for (const f2 of fs) {
+      found.push(..._twoLens(zW1, qIn.im, z_target, zR_target, f1, f2, qIn, qTarget));
+    }
+  }
+
+  // Same lenses at (nearly) the same places are one solution
+  const unique = [];
+  for (const s of found) {
+    const dup = unique.some(u => u.lenses.length === s.lenses.length &&
+      u.lenses.every((l, i) => l.f === s.lenses[i].f && Math.abs(l.z - s.lenses[i].z) < 1e-4));
+    if (!dup) unique.push(s);
+  }
+  const key = (sortBy === "length") ? (s) => s.length : (s) => s.sensitivity;
+  return unique.sort((a, b) => (key(a) - key(b)) || (b.efficiency - a.efficiency));
+}
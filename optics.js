@@ -30,6 +30,16 @@ export class C2{
   mulVec(v){ return [ this.a.mul(v[0]).add(this.b.mul(v[1])), this.c.mul(v[0]).add(this.d.mul(v[1])) ]; }
 }
 
+// Complex entry in "a+bi" (or plain real) form, as typed into the UI; null if unparseable
+export function parseComplex(str){
+  const s = String(str ?? "").trim();
+  const m = s.match(/^([+\-]?\d*\.?\d+)([+\-]\d*\.?\d+)i$/i);
+  if (m) return new Complex(parseFloat(m[1]), parseFloat(m[2]));
+  const n = s.match(/^([+\-]?\d*\.?\d+)$/);
+  if (n) return new Complex(parseFloat(n[1]), 0);
+  return null;
+}
+
 // Jones helpers
 export function Rtheta(th){
   const c = new Complex(Math.cos(th),0), s = new Complex(Math.sin(th),0);
@@ -54,3 +64,68 @@ export function jNorm(J){
   const s1 = J[1].re*J[1].re + J[1].im*J[1].im;
   return Math.sqrt(s0 + s1);
 }
+
+// Fresnel amplitude coefficients for a planar n1 -> n2 interface at incidence cosine cosI.
+// s is normal to the plane of incidence and p = s × k for both incident and outgoing k,
+// so at normal incidence the outgoing field is simply r·E (or t·E). Past the critical
+// angle cosT turns imaginary: |rs| = |rp| = 1 carry the TIR phase and ts = tp = 0.
+export function fresnel(n1, n2, cosI){
+  const sin2T = (n1 / n2) * (n1 / n2) * (1 - cosI * cosI);
+  const tir = sin2T > 1;
+  const cosT = tir ? new Complex(0, Math.sqrt(sin2T - 1)) : new Complex(Math.sqrt(1 - sin2T), 0);
+  const sA = new Complex(n1 * cosI, 0), sB = cosT.mul(n2);   // n1 cosI, n2 cosT
+  const pA = new Complex(n2 * cosI, 0), pB = cosT.mul(n1);   // n2 cosI, n1 cosT
+  const rs = sA.add(sB.mul(-1)).div(sA.add(sB));
+  const rp = pA.add(pB.mul(-1)).div(pA.add(pB));
+  if (tir) return { rs, rp, ts: new Complex(0, 0), tp: new Complex(0, 0), tir, cosT: 0 };
+  const ts = new Complex(2 * n1 * cosI, 0).div(sA.add(sB));
+  const tp = new Complex(2 * n1 * cosI, 0).div(pA.add(pB));
+  return { rs, rp, ts, tp, tir, cosT: cosT.re };
+}
+
+// Stokes / Mueller helpers. Same convention as the polarization ellipse readout:
+// S1 = |Ex|² − |Ey|², S2 = 2 Re(Ex Ey*), S3 = 2 Im(Ex Ey*), so RHC has S3 = +1.
+export function stokesFromJones(J){
+  const a = J[0], b = J[1];
+  const ax2 = a.re*a.re + a.im*a.im, ay2 = b.re*b.re + b.im*b.im;
+  return [ax2 + ay2, ax2 - ay2, 2 * (a.re*b.re + a.im*b.im), 2 * (a.im*b.re - a.re*b.im)];
+}
+
+// Pauli basis matching stokesFromJones: S_k = E† σ_k E
+const _PAULI = [
+  new C2(new Complex(1,0), new Complex(0,0), new Complex(0,0), new Complex(1,0)),
+  new C2(new Complex(1,0), new Complex(0,0), new Complex(0,0), new Complex(-1,0)),
+  new C2(new Complex(0,0), new Complex(1,0), new Complex(1,0), new Complex(0,0)),
+  new C2(new Complex(0,0), new Complex(0,1), new Complex(0,-1), new Complex(0,0))
+];
+const _dagger = (m) => new C2(
+  new Complex(m.a.re, -m.a.im), new Complex(m.c.re, -m.c.im),
+  new Complex(m.b.re, -m.b.im), new Complex(m.d.re, -m.d.im)
+);
+
+// Mueller matrix (4×4 rows) of a Jones matrix: M_ij = ½ Re tr(J† σ_i J σ_j)
+export function muellerFromJones(M){
+  const Md = _dagger(M);
+  return _PAULI.map(si => _PAULI.map(sj => {
+    const p = Md.mul(si).mul(M).mul(sj);
+    return 0.5 * (p.a.re + p.d.re);
+  }));
+}
+
+export function applyMueller(M, S){
+  return M.map(row => row[0]*S[0] + row[1]*S[1] + row[2]*S[2] + row[3]*S[3]);
+}
+
+// Split a Stokes vector into two orthogonal, mutually incoherent Jones vectors whose
+// Stokes vectors add up to S: the polarized part along ŝ and the remainder along −ŝ.
+export function jonesPairFromStokes(S){
+  const S0 = Math.max(0, S[0]);
+  const P = Math.min(S0, Math.hypot(S[1], S[2], S[3]));
+  const [n1, n2, n3] = (P > 1e-15) ? [S[1] / P, S[2] / P, S[3] / P] : [1, 0, 0];
+  const pure = (s1, s2, s3, I) => {
+    const ax = Math.sqrt(Math.max(0, I * (1 + s1) / 2)), ay = Math.sqrt(Math.max(0, I * (1 - s1) / 2));
+    const delta = Math.atan2(-s3, s2);   // Ey phase relative to Ex
+    return [new Complex(ax, 0), Complex.expi(delta).mul(ay)];
+  };
+  return [pure(n1, n2, n3, (S0 + P) / 2), pure(-n1, -n2, -n3, (S0 - P) / 2)];
+}
@@ -4,7 +4,7 @@
  */
 
 // polarization.js — pooled, throttled polarization markers
-import * as THREE from 'three';
+import THREE from './three-import.js?v=1.0.15';
 import { buildTransverseBasis } from './beam-frame.js?v=1.0.15';
 
 // Define a fixed, nominal wavelength (e.g., 550nm green) for all visualizations.
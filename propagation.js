@@ -4,16 +4,20 @@
  */
 
 // propagation.js - handles ray marching, Gaussian beam physics, and ribbon generation
-import * as THREE from 'three';
-import { Complex, jNorm } from './optics.js?v=1.0.15';
+import THREE from './three-import.js?v=1.0.15';
+import { Complex, jNorm, fresnel, parseComplex, stokesFromJones, applyMueller, jonesPairFromStokes, abcd as applyABCD } from './optics.js?v=1.0.15';
 import { buildRibbon } from './ribbon.js?v=1.0.15';
 import { buildTransverseBasis } from './beam-frame.js?v=1.0.15';
 import * as pol from './polarization.js?v=1.0.15';
+import { analyzeCavity, sampleCavityMode } from './cavity.js?v=1.0.15';
+import { groupDispersion } from './materials.js?v=1.0.15';
+import { rayBundle } from './raybundle.js?v=1.0.15';
 
 const POL_SPACING = 0.005;
 const LAMBDA_KEY = "\u03bb";
 const MAX_RAY_SEEDS = 800;
 const WORLD_UP = new THREE.Vector3(0, 1, 0);
+const C_LIGHT = 299792458;
 
 /* ========= Wavelength to Color Helper ========= */
 function wavelengthNmToHex(nm){
@@ -33,12 +37,7 @@ function wavelengthNmToHex(nm){
 
 /* ========= Polarization Helpers ========= */
 function jonesFrom(preset, exStr, eyStr){
-  const parseC=(s)=>{
-    const m=s.trim().match(/^([+\-]?\d*\.?\d+)([+\-]\d*\.?\d+)i$/i);
-    if(m) return new Complex(parseFloat(m[1]), parseFloat(m[2]));
-    const n=s.trim().match(/^([+\-]?\d*\.?\d+)$/); if(n) return new Complex(parseFloat(n[1]),0);
-    return new Complex(1,0);
-  };
+  const parseC=(s)=> parseComplex(s) ?? new Complex(1,0);
   if(preset==="Linear X") return [new Complex(1,0), new Complex(0,0)];
   if(preset==="Linear Y") return [new Complex(0,0), new Complex(1,0)];
   if(preset==="+45Â°" || preset==="+45°"){ const a=1/Math.sqrt(2); return [new Complex(a,0), new Complex(a,0)]; }
@@ -48,17 +47,38 @@ function jonesFrom(preset, exStr, eyStr){
   return [parseC(exStr), parseC(eyStr)];
 }
 
-function polEllipseAngles(J){
-  const a = J[0], b = J[1];
-  const ax2 = a.re*a.re + a.im*a.im, ay2 = b.re*b.re + b.im*b.im;
-  const re_abStar = a.re*b.re + a.im*b.im, im_abStar = -a.re*b.im + a.im*b.re;
-  const S0 = ax2 + ay2, S1 = ax2 - ay2, S2 = 2 * re_abStar, S3 = 2 * im_abStar;
+// Ellipse of the polarized part of a Stokes vector
+function polEllipseAngles(S){
+  const [, S1, S2, S3] = S;
+  const P = Math.hypot(S1, S2, S3);
   return {
     psiDeg: 0.5 * Math.atan2(S2, S1) * 180/Math.PI,
-    chiDeg: 0.5 * Math.asin(Math.max(-1, Math.min(1, S0 ? S3/S0 : 0))) * 180/Math.PI
+    chiDeg: 0.5 * Math.asin(Math.max(-1, Math.min(1, P ? S3/P : 0))) * 180/Math.PI
   };
 }
 
+// Partially polarized light is carried as two mutually incoherent Jones vectors: J and an
+// orthogonal partner Jb (null when fully polarized). Their Stokes vectors add.
+function _splitByDop(J, dop){
+  const p = THREE.MathUtils.clamp(Number(dop ?? 1), 0, 1);
+  if (p >= 1) return { J, Jb: null };
+  const perp = [new Complex(-J[1].re, J[1].im), new Complex(J[0].re, -J[0].im)];   // (−Ey*, Ex*)
+  const a = Math.sqrt((1 + p) / 2), b = Math.sqrt((1 - p) / 2);
+  return { J: [J[0].mul(a), J[1].mul(a)], Jb: [perp[0].mul(b), perp[1].mul(b)] };
+}
+
+function _pathStokes(p){
+  const S = stokesFromJones(p.J);
+  if (p.Jb) stokesFromJones(p.Jb).forEach((v, i) => { S[i] += v; });
+  return S;
+}
+
+// Field amplitude relative to the source reference, counting the incoherent partner
+function _pathAmp(p){
+  const S0 = _pathStokes(p)[0];
+  return Math.sqrt(S0) / p.Jnorm;
+}
+
 /* ========= Physics Helpers ========= */
 function _elementWorldNormal(el){
   const worldQ = el.mesh.getWorldQuaternion(new THREE.Quaternion());
@@ -70,6 +90,12 @@ function reflectAcrossElementNormal(dirv, el){
   return dirv.clone().sub(nWorld.clone().multiplyScalar(2 * dirv.dot(nWorld))).normalize();
 }
 function _hitWorldNormal(hit, el){
+  // Surfaces that know their exact shape (conic mirrors) give the true local normal
+  const normalAt = hit?.object?.userData?.surfaceNormalAt;
+  if (typeof normalAt === "function") {
+    const p = hit.object.worldToLocal(hit.point.clone());
+    return normalAt(p.x, p.y).transformDirection(hit.object.matrixWorld).normalize();
+  }
   if (hit && hit.face && hit.object) {
     const n = hit.face.normal.clone();
     n.transformDirection(hit.object.matrixWorld).normalize();
@@ -145,48 +171,360 @@ function _worldFieldToJones(field, dir, basisUp){
   ];
 }
 
-function _reflectJonesWithBasis(J, inDir, outDir, normal, amplitude=1, inBasisUp=null){
+// Split a world-space field into s (normal to the plane of incidence) and p = s × k parts,
+// scale them by complex coefficients cs/cp and rebuild the field around outDir.
+// `sAxis` (optional) pins s to a fixed direction, e.g. the grooves of a grating.
+function _applySPCoefficients(field, inDir, outDir, normal, cs, cp, fallbackS, sAxis=null){
+  const s = sAxis
+    ? sAxis.clone().addScaledVector(inDir, -sAxis.dot(inDir))
+    : new THREE.Vector3().crossVectors(inDir, normal);
+  if (s.lengthSq() < 1e-12) s.copy(fallbackS); // normal incidence: any transverse axis will do
+  s.normalize();
+  const pIn = new THREE.Vector3().crossVectors(s, inDir).normalize();
+  const pOut = new THREE.Vector3().crossVectors(s, outDir).normalize();
+  const Es = new Complex(field.real.dot(s), field.imag.dot(s)).mul(cs);
+  const Ep = new Complex(field.real.dot(pIn), field.imag.dot(pIn)).mul(cp);
+  return {
+    real: s.clone().multiplyScalar(Es.re).addScaledVector(pOut, Ep.re),
+    imag: s.clone().multiplyScalar(Es.im).addScaledVector(pOut, Ep.im)
+  };
+}
+
+// Without `coeffs` this is an ideal metal mirror (rs = -amplitude, rp = +amplitude);
+// with `coeffs` = { s, p } the Fresnel amplitudes are applied instead.
+function _reflectJonesWithBasis(J, inDir, outDir, normal, amplitude=1, inBasisUp=null, coeffs=null){
   const inBasis = buildTransverseBasis(inDir, inBasisUp || WORLD_UP);
   const field = _jonesToWorldField(J, inDir, inBasis.u);
   const outBasisUp = _reflectVectorAcrossNormal(inBasis.u, normal);
-  const reflectedField = {
-    real: _reflectVectorAcrossNormal(field.real, normal).multiplyScalar(-amplitude),
-    imag: _reflectVectorAcrossNormal(field.imag, normal).multiplyScalar(-amplitude)
-  };
+  const reflectedField = coeffs
+    ? _applySPCoefficients(field, inDir, outDir, normal, coeffs.s, coeffs.p, inBasis.v, coeffs.sAxis)
+    : {
+      real: _reflectVectorAcrossNormal(field.real, normal).multiplyScalar(-amplitude),
+      imag: _reflectVectorAcrossNormal(field.imag, normal).multiplyScalar(-amplitude)
+    };
   return {
     J: _worldFieldToJones(reflectedField, outDir, outBasisUp),
     basisUp: _projectBasisUp(outDir, outBasisUp)
   };
 }
 
+// Refracted counterpart of _reflectJonesWithBasis; basisUp is carried across by projection.
+function _transmitJonesWithBasis(J, inDir, outDir, normal, coeffs, inBasisUp=null){
+  const inBasis = buildTransverseBasis(inDir, inBasisUp || WORLD_UP);
+  const field = _jonesToWorldField(J, inDir, inBasis.u);
+  const outBasisUp = _projectBasisUp(outDir, inBasis.u);
+  const transmittedField = _applySPCoefficients(field, inDir, outDir, normal, coeffs.s, coeffs.p, inBasis.v, coeffs.sAxis);
+  return {
+    J: _worldFieldToJones(transmittedField, outDir, outBasisUp),
+    basisUp: outBasisUp
+  };
+}
+
+// Fresnel coefficients at an uncoated surface. ts/tp are rescaled by sqrt(n2 cosT / n1 cosI)
+// so that |J|² keeps tracking power across the interface (R + T = 1).
+function _surfaceFresnel(n1, n2, cosI){
+  const f = fresnel(n1, n2, cosI);
+  if (!f.tir) {
+    const eta = Math.sqrt((n2 * f.cosT) / (n1 * Math.max(1e-12, cosI)));
+    f.ts = f.ts.mul(eta);
+    f.tp = f.tp.mul(eta);
+  }
+  return f;
+}
+
+/* ========= Astigmatic (qx/qy) Helpers ========= */
+// qx follows the horizontal Jones axis (v), qy follows basisUp (u). The plane of
+// incidence is snapped to whichever of the two axes the surface normal leans on.
+function _tangentialAxis(dir, basisUp, normal){
+  const { u, v } = buildTransverseBasis(dir, basisUp || WORLD_UP);
+  const nu = Math.abs(normal.dot(u));
+  const nv = Math.abs(normal.dot(v));
+  return (nu > nv) ? "y" : "x";
+}
+
+// A compound-angle fold turns the plane of incidence against the beam's u/v axes. Round beams
+// lose nothing when their transverse basis (and the Jones vectors with it) turns until one axis
+// is the sagittal direction s = dir × normal, which the fold leaves unchanged, so the fold then
+// acts about the true planes. Simple-astigmatic q's cannot turn: they keep their axes and the
+// fold is snapped to the nearest one (see _tangentialAxis).
+// Returns null when u/v already hold the plane of incidence, { snapped_deg } when the beam is
+// astigmatic, or the tangential q ("x"/"y") with the sagittal/tangential axes after turning.
+function _alignToIncidence(path, normal){
+  const { k, u, v } = buildTransverseBasis(path.dir, _cloneBasisUp(path));
+  const s = new THREE.Vector3().crossVectors(k, normal);
+  if (s.lengthSq() < 1e-12) return null;
+  s.normalize();
+  const su = Math.abs(s.dot(u)), sv = Math.abs(s.dot(v));
+  const offAngle = Math.acos(Math.min(1, Math.max(su, sv)));
+  if (offAngle < 1e-6) return null;
+  const dq = Math.hypot(path.qx.re - path.qy.re, path.qx.im - path.qy.im);
+  if (dq > 1e-9 * Math.hypot(path.qx.re, path.qx.im)) return { snapped_deg: THREE.MathUtils.radToDeg(offAngle) };
+  // Turn the axis that was already closer to s onto it: u = ±s, or v = u × k = ±s via u = k × s
+  const up = (su > sv) ? s.clone() : new THREE.Vector3().crossVectors(k, s).normalize();
+  if (up.dot(u) < 0) up.negate();
+  if (path.J) {
+    const turn = (J) => _worldFieldToJones(_jonesToWorldField(J, k, u), k, up);
+    path.J = turn(path.J);
+    if (path.Jb) path.Jb = turn(path.Jb);
+  }
+  path.basisUp = up;
+  return { tAxis: (su > sv) ? "x" : "y", sAxis: s, tAxisWorld: new THREE.Vector3().crossVectors(s, k).normalize() };
+}
+
+// Apply an ABCD map per transverse axis: fn(q, { plane, cosI, axis, ...extra }) -> q'.
+// `axis` is the incoming world-space transverse axis the q belongs to.
+// `frame` supplies the incoming dir/basisUp when `path` is an already-redirected branch.
+function _applyAbcdXY(path, normal, fn, extra = {}, frame = path){
+  const cosI = Math.abs(frame.dir.dot(normal));
+  const aligned = _alignToIncidence(frame, normal);
+  if (aligned?.snapped_deg) path.axesSnapped_deg = Math.max(path.axesSnapped_deg ?? 0, aligned.snapped_deg);
+  // A branch that already carries its own fields turns with the incoming beam (s is shared)
+  if (aligned?.tAxis && frame !== path && path.J) _alignToIncidence(path, normal);
+  const { u, v } = buildTransverseBasis(frame.dir, _cloneBasisUp(frame) || WORLD_UP);
+  const tAxis = aligned?.tAxis ?? _tangentialAxis(frame.dir, _cloneBasisUp(frame), normal);
+  const axisX = aligned?.tAxis ? ((tAxis === "x") ? aligned.tAxisWorld : aligned.sAxis) : v;
+  const axisY = aligned?.tAxis ? ((tAxis === "y") ? aligned.tAxisWorld : aligned.sAxis) : u;
+  path.qx = fn(path.qx, { ...extra, cosI, axis: axisX, plane: (tAxis === "x") ? "tangential" : "sagittal" });
+  path.qy = fn(path.qy, { ...extra, cosI, axis: axisY, plane: (tAxis === "y") ? "tangential" : "sagittal" });
+}
+
+// Where a beam axis meets a shaped surface, in that surface mesh's own coordinates:
+// `at` is the hit point and `along` the world axis projected onto the surface (x, y only).
+function _surfaceLocalCtx(hit, axis){
+  const obj = hit.object;
+  const p = obj.worldToLocal(hit.point.clone());
+  const ctx = { at: { x: p.x, y: p.y } };
+  if (axis) {
+    const a = axis.clone().applyQuaternion(obj.getWorldQuaternion(new THREE.Quaternion()).invert());
+    ctx.along = { x: a.x, y: a.y };
+  }
+  return ctx;
+}
+
+/* ========= Clear-Aperture Helpers ========= */
+// Abramowitz & Stegun 7.1.26, |error| < 1.5e-7
+function _erf(x){
+  const t = 1 / (1 + 0.3275911 * Math.abs(x));
+  const y = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429)))) * Math.exp(-x * x);
+  return (x >= 0) ? y : -y;
+}
+const _normCdf = (t) => 0.5 * (1 + _erf(t / Math.SQRT2));
+
+// Clear aperture of an element in its own plane: world axes, centre and half sizes from the
+// collision panel. Round apertures are inscribed in the panel.
+function _apertureOf(el){
+  const qW = el.mesh.getWorldQuaternion(new THREE.Quaternion());
+  const scale = el.mesh.getWorldScale(new THREE.Vector3());
+  const base = el.mesh.geometry?.parameters || {};
+  const halfW = 0.5 * (base.width ?? 0.004) * Math.abs(scale.x);
+  const halfH = 0.5 * (base.height ?? 0.004) * Math.abs(scale.y);
+  return {
+    round: el.props.aperture_shape === "Round",
+    center: el.mesh.getWorldPosition(new THREE.Vector3()),
+    ex: new THREE.Vector3(1, 0, 0).applyQuaternion(qW),
+    ey: new THREE.Vector3(0, 1, 0).applyQuaternion(qW),
+    halfW, halfH, radius: Math.min(halfW, halfH)
+  };
+}
+
+// A beam centre outside a round aperture slips past the panel's corners untouched
+function _hitInsideAperture(hit, el){
+  if (el?.props?.aperture_shape !== "Round") return true;
+  const ap = _apertureOf(el);
+  const d = hit.point.clone().sub(ap.center);
+  return Math.hypot(d.dot(ap.ex), d.dot(ap.ey)) <= ap.radius;
+}
+
+// Fraction of a Gaussian beam's power that lands inside the aperture. The elliptical
+// footprint (wx along v, wy along u) is projected onto the element plane; the integral
+// is exact across Y (erf of the conditional profile) and Simpson-sampled across X
+// (in X = R sinθ for round apertures, which removes the square-root edge).
+function _gaussianApertureFraction(ap, hitPoint, dir, basisUp, wx, wy){
+  const { u, v } = buildTransverseBasis(dir, basisUp || WORLD_UP);
+  const off = hitPoint.clone().sub(ap.center);
+  const X0 = off.dot(ap.ex), Y0 = off.dot(ap.ey);
+  // Precision matrix of the footprint in plane coordinates (1/σ² = 4/w²)
+  const kx = 4 / (wx * wx), ky = 4 / (wy * wy);
+  const a = [ap.ex.dot(v), ap.ey.dot(v)], b = [ap.ex.dot(u), ap.ey.dot(u)];
+  const Lxx = kx * a[0] * a[0] + ky * b[0] * b[0];
+  const Lyy = kx * a[1] * a[1] + ky * b[1] * b[1];
+  const Lxy = kx * a[0] * a[1] + ky * b[0] * b[1];
+  const det = Lxx * Lyy - Lxy * Lxy;
+  if (!(det > 0) || !(Lyy > 0)) return 1;
+
+  const sX = Math.sqrt(Lyy / det);    // marginal σ across X
+  const sC = 1 / Math.sqrt(Lyy);      // conditional σ across Y
+  const xMax = ap.round ? ap.radius : ap.halfW;
+  const lo = Math.max(-xMax, X0 - 6 * sX), hi = Math.min(xMax, X0 + 6 * sX);
+  if (hi <= lo) return 0;
+
+  const slice = (X, yMax) => {
+    const mu = Y0 - (Lxy / Lyy) * (X - X0);
+    const pX = Math.exp(-0.5 * ((X - X0) / sX) ** 2) / (sX * Math.sqrt(2 * Math.PI));
+    return pX * (_normCdf((yMax - mu) / sC) - _normCdf((-yMax - mu) / sC));
+  };
+  const R = ap.radius;
+  const g = ap.round
+    ? (t) => R * Math.cos(t) * slice(R * Math.sin(t), R * Math.cos(t))
+    : (X) => slice(X, ap.halfH);
+  const t0 = ap.round ? Math.asin(lo / R) : lo, t1 = ap.round ? Math.asin(hi / R) : hi;
+  const N = 64, h = (t1 - t0) / N;
+  let sum = g(t0) + g(t1);
+  for (let i = 1; i < N; i++) sum += g(t0 + i * h) * ((i % 2) ? 4 : 2);
+  return THREE.MathUtils.clamp(sum * h / 3, 0, 1);
+}
+
+
+/* ========= Pulse Helpers ========= */
+// Weighted least-squares polynomial y ≈ Σ c_k x^k via the normal equations (low degrees only)
+function _polyFitWeighted(xs, ys, ws, degree){
+  const n = degree + 1;
+  const A = Array.from({ length: n }, () => new Array(n + 1).fill(0));
+  for (let i = 0; i < xs.length; i++) {
+    for (let r = 0; r < n; r++) {
+      for (let c = 0; c < n; c++) A[r][c] += ws[i] * xs[i] ** (r + c);
+      A[r][n] += ws[i] * ys[i] * xs[i] ** r;
+    }
+  }
+  for (let c = 0; c < n; c++) {
+    let piv = c;
+    for (let r = c + 1; r < n; r++) if (Math.abs(A[r][c]) > Math.abs(A[piv][c])) piv = r;
+    [A[c], A[piv]] = [A[piv], A[c]];
+    if (Math.abs(A[c][c]) < 1e-300) return null;
+    for (let r = 0; r < n; r++) {
+      if (r === c) continue;
+      const f = A[r][c] / A[c][c];
+      for (let k = c; k <= n; k++) A[r][k] -= f * A[c][k];
+    }
+  }
+  return A.map((row, i) => row[n] / row[i]);
+}
+
+// Longitudinal aberration of a lens from the rays that crossed it: axial crossing z(h) against
+// entrance height h, fitted as z0 + a·h² + b·h⁴. z0 is the paraxial focus, the outermost rays
+// give the marginal focus. Distances are from the exit vertex (m).
+function _summarizeRayFocus(rays){
+  if (!rays?.length) return null;
+  const hMax = Math.max(...rays.map(r => r.h));
+  if (!(hMax > 0)) return null;
+  const heights = new Set(rays.map(r => r.h.toPrecision(6)));
+  const degree = Math.min(2, heights.size - 1);
+  if (degree < 1) return null;
+  const fit = _polyFitWeighted(rays.map(r => (r.h / hMax) ** 2), rays.map(r => r.z), rays.map(() => 1), degree);
+  if (!fit) return null;
+  const marginal = rays.filter(r => r.h > hMax * (1 - 1e-6));
+  const zMarginal = marginal.reduce((a, r) => a + r.z, 0) / marginal.length;
+  return {
+    paraxialFocus_mm: fit[0] * 1e3,
+    marginalFocus_mm: zMarginal * 1e3,
+    longAberration_mm: (zMarginal - fit[0]) * 1e3,
+    marginalNA: Math.max(...marginal.map(r => r.sinU)),
+    aberrationRays: rays.length
+  };
+}
+
+// Spot diagram of the real rays on a detector plane (meter-local x/y, m). Radii are about the
+// centroid; the Airy radius 0.61·λ/NA uses the widest ray angle around the mean direction.
+// Ray fans plot the transverse error against the pupil coordinate along the pupil row/column
+// nearest the axis, relative to the chief ray (pupil 0,0) when one was traced, else the centroid.
+const SPOT_MAX_POINTS = 4000;
+function _summarizeSpot(rays){
+  const wSum = rays.reduce((a, r) => a + r.w, 0);
+  if (!(wSum > 0)) return null;
+  const wMean = (f) => rays.reduce((a, r) => a + r.w * f(r), 0) / wSum;
+  const cx = wMean(r => r.x), cy = wMean(r => r.y);
+  const rms = Math.sqrt(wMean(r => (r.x - cx) ** 2 + (r.y - cy) ** 2));
+  const geo = Math.max(...rays.map(r => Math.hypot(r.x - cx, r.y - cy)));
+  const lambda = wMean(r => r.lambda);
+  const meanDir = rays.reduce((a, r) => a.addScaledVector(r.dir, r.w), new THREE.Vector3()).normalize();
+  const NA = Math.max(...rays.map(r => r.dir.clone().cross(meanDir).length()));
+  const chief = rays.find(r => r.px * r.px + r.py * r.py < 1e-12);
+  const ref = chief ? { x: chief.x, y: chief.y } : { x: cx, y: cy };
+
+  const fan = (across, along, coord) => {
+    const nearest = Math.min(...rays.map(r => Math.abs(r[across])));
+    return rays.filter(r => Math.abs(r[across]) <= nearest + 1e-6)
+      .map(r => [r[along], (r[coord] - ref[coord]) * 1e6])
+      .sort((a, b) => a[0] - b[0]);
+  };
+  const step = Math.max(1, Math.ceil(rays.length / SPOT_MAX_POINTS));
+  return {
+    spot_cx_um: cx * 1e6,
+    spot_cy_um: cy * 1e6,
+    spot_rms_um: rms * 1e6,
+    spot_geo_um: geo * 1e6,
+    spot_airy_um: (NA > 1e-9) ? 0.61 * lambda / NA * 1e6 : NaN,
+    spot_NA: NA,
+    spotRays: rays.length,
+    spot: {
+      pts: rays.filter((_, i) => i % step === 0).map(r => [(r.x - cx) * 1e6, (r.y - cy) * 1e6, wavelengthNmToHex(r.lambda * 1e9)]),
+      fanT: fan("px", "py", "y"),
+      fanS: fan("py", "px", "x")
+    }
+  };
+}
+
+// Output pulse at a detector from the spectral samples of one pulsed source. With three or
+// more samples GD(ω) is fitted, which picks up angular dispersion (grating and prism pairs)
+// as well as material dispersion; fewer samples fall back to the material GDD/TOD carried
+// by the paths. Duration: Gaussian pulse with the net GDD (TOD only reported).
+function _summarizePulse(pulse, arrivals){
+  const wSum = arrivals.reduce((a, s) => a + s.w, 0);
+  if (!(wSum > 0)) return null;
+  const mean = (key) => arrivals.reduce((a, s) => a + s.w * s[key], 0) / wSum;
+  const omegas = new Set(arrivals.map(s => s.omega.toPrecision(9)));
+  // The cubic term soaks up fourth-order phase so GDD and TOD stay the values at ω0
+  const degree = Math.min(3, omegas.size - 1);
+  let gd = mean("gd"), gdd = mean("gdd"), tod = mean("tod");
+  if (degree >= 1) {
+    // Δω in units of 1/τ0 keeps the normal equations well conditioned
+    const fit = _polyFitWeighted(
+      arrivals.map(s => (s.omega - pulse.omega0) * pulse.tau0_s),
+      arrivals.map(s => s.gd), arrivals.map(s => s.w), degree);
+    if (fit) {
+      gd = fit[0];
+      gdd = fit[1] * pulse.tau0_s;
+      if (degree >= 2) tod = 2 * fit[2] * pulse.tau0_s * pulse.tau0_s;
+    }
+  }
+  // FWHM of a Gaussian pulse of transform-limited duration τ0 carrying GDD φ2:
+  // τ = τ0·sqrt(1 + (4 ln2·φ2/τ0²)²). The source's own chirp already stretches the input.
+  const tau0 = pulse.tau0_s;
+  const chirped = (phi2) => tau0 * Math.hypot(1, 4 * Math.LN2 * phi2 / (tau0 * tau0));
+  return {
+    pulse_in_fs: chirped(pulse.gdd0) * 1e15,
+    pulse_out_fs: chirped(gdd) * 1e15,
+    gd_ps: gd * 1e12,
+    gdd_fs2: gdd * 1e30,
+    tod_fs3: tod * 1e45
+  };
+}
 
 /**
- * Main propagation function.
- * @param {object} context - An object containing all necessary scene and state info.
+ * Trace every source through the elements and fill the readout maps, without touching the
+ * scene graph or the UI, so it can run in a worker on a rebuilt copy of the scene.
+ * Element meshes must have up-to-date world matrices.
+ * @param {object} context - sources, elements, params, the readout maps, cavities, and the
+ *   syncSourceW0ZR / clampToPlaneXZ helpers.
+ * @returns {{ribbons: object[], meterUpdated: boolean}} Ribbons to draw (traced paths, then
+ *   cavity eigenmodes tagged with their cavityId): polylines with per-vertex directions,
+ *   widths, amplitudes and transverse "up" vectors, the wavelength and color, and the
+ *   polarization samples along traced paths.
  */
-export function recompute(context) {
+export function traceScene(context) {
   const {
     sources, elements, params,
-    beamGroup, polGroup, tcontrols,
-    ribbonMeshes, gratingLastInfo, meterLastInfo, elementLastInfo,
-    addSource, removeSourceByGroup, syncSourceW0ZR,
-    clampToPlaneXZ, refreshAfterRecompute
+    gratingLastInfo, meterLastInfo, elementLastInfo,
+    cavities = [], cavityLastInfo = null, damageLastInfo = null, apertureLastInfo = null,
+    syncSourceW0ZR, clampToPlaneXZ
   } = context;
 
   let _meterUpdated = false;
   elementLastInfo.clear();
-  // clear old ribbons & pol markers
-  ribbonMeshes.forEach(m => { beamGroup.remove(m); m.geometry.dispose(); m.material.dispose(); });
-  ribbonMeshes.length = 0; // Clear the array in place
-  pol.beginFrame(polGroup);
-
-  // If no sources, add a temporary one
-  const activeSources = sources.length ? sources : [addSource({ position:new THREE.Vector3(0.0, 0.0, -0.0004), yawRad:0 })];
-  const removeImplicitAfter = sources.length===0 ? activeSources[0] : null;
 
   const meshes = [];
   for (const e of elements) {
-    if ((e.type === "thickLens" || (e.type === "mirror" && !e.props.flat)) &&
+    if ((e.type === "thickLens" || e.type === "prism" || (e.type === "mirror" && !e.props.flat)) &&
         Array.isArray(e._surfaceMeshes) &&
         e._surfaceMeshes.length) {
 
@@ -213,21 +551,79 @@ export function recompute(context) {
     const denom = Math.abs(inv.im) * Math.PI || 1e-18;
     return Math.sqrt(M2) * Math.sqrt( wavelength / denom );
   };
+  // Accumulate optical path n·L and the Gouy phase over a free-space step of length L.
+  // For an elliptical beam the Gouy phase is the mean of the two axes' atan(z/zR).
+  const advancePhase = (p, L) => {
+    p.opl = (p.opl ?? 0) + (p.nMedium ?? 1.0) * L;
+    if (p.pulse) advanceDispersion(p, L);
+    if (p.beamModel === "rays") return;
+    const psi = (q) => Math.atan2(q.re, q.im);
+    const dx = psi(freeSpace(p.qx, L)) - psi(p.qx);
+    const dy = psi(freeSpace(p.qy, L)) - psi(p.qy);
+    p.gouy = (p.gouy ?? 0) + 0.5 * (dx + dy);
+  };
+  // Group delay, GDD and TOD of a pulsed path; glass elements lend their n(λ) while the path is inside
+  const advanceDispersion = (p, L) => {
+    const indexAt = p.medium?.indexAt;
+    if (typeof indexAt !== "function") {
+      p.gd += (p.nMedium ?? 1.0) * L / C_LIGHT;
+      return;
+    }
+    const disp = groupDispersion((lambda) => indexAt.call(p.medium, lambda), getPathLambda(p));
+    p.gd += disp.ng * L / C_LIGHT;
+    p.gdd += disp.gvd * L;
+    p.tod += disp.tod * L;
+  };
   const getPathLambda = (p) => {
     const lambda = p?.[LAMBDA_KEY];
     return Number.isFinite(lambda) ? lambda : 532e-9;
   };
-  const widthFor = (p, qOverride = null) => {
+  const widthFor = (p, qOverride = null, axis = "x") => {
     if (p?.beamModel === "rays") {
       return Math.max(1e-9, Number(p.rayRadius_m) || 1e-6);
     }
-    const q = qOverride || p.q;
+    const q = qOverride || ((axis === "y") ? p.qy : p.qx);
     return wFromQ(q, getPathLambda(p), p.M2);
   };
+  const axisMetrics = (p, q) => {
+    const invq = q.inv();
+    const zR_m = q.im;
+    const lambda = getPathLambda(p);
+    return {
+      w_um: wFromQ(q, lambda, p.M2) * 1e6,
+      w0_um: Math.sqrt(zR_m * lambda * p.M2 / Math.PI) * 1e6,
+      R_mm: (Math.abs(invq.re) < 1e-12) ? Infinity : (1 / invq.re) * 1e3,
+      z_to_waist_mm: q.re * 1e3,
+      zR_mm: zR_m * 1e3
+    };
+  };
   const computeBeamMetrics = (p) => {
-    const aRel = jNorm(p.J) / p.Jnorm;
+    const aRel = _pathAmp(p);
     const Irel = aRel * aRel;
-    const polAngles = polEllipseAngles(p.J);
+    const S = _pathStokes(p);
+    const polAngles = polEllipseAngles(S);
+    // Stokes vector relative to the launched intensity, and the degree of polarization
+    const stokes = {
+      S0: S[0] / (p.Jnorm * p.Jnorm), S1: S[1] / (p.Jnorm * p.Jnorm),
+      S2: S[2] / (p.Jnorm * p.Jnorm), S3: S[3] / (p.Jnorm * p.Jnorm),
+      dop: (S[0] > 0) ? Math.hypot(S[1], S[2], S[3]) / S[0] : NaN
+    };
+    // Accumulated from the source along this path's history
+    const lengths = {
+      geom_mm: (p.traveled ?? 0) * 1e3,
+      opl_mm: (p.opl ?? 0) * 1e3,
+      gouy_deg: THREE.MathUtils.radToDeg(p.gouy ?? 0)
+    };
+    // Absolute power; Gaussian peak irradiance 2P/(π wx wy), a ray tube is flat-top P/(π r²)
+    const power_W = (p.P0_W ?? 0) * Irel;
+    const peakIrr_W_cm2 = ((p.beamModel === "rays")
+      ? power_W / (Math.PI * widthFor(p) * widthFor(p))
+      : 2 * power_W / (Math.PI * widthFor(p) * widthFor(p, null, "y"))) * 1e-4;
+    const power = {
+      power_W,
+      peakIrr_W_cm2,
+      fluence_J_cm2: (p.repRate_Hz > 0) ? peakIrr_W_cm2 / p.repRate_Hz : NaN
+    };
 
     if (p?.beamModel === "rays") {
       const w_um = widthFor(p) * 1e6;
@@ -238,26 +634,35 @@ export function recompute(context) {
         Irel,
         psi_deg: polAngles.psiDeg,
         chi_deg: polAngles.chiDeg,
+        ...stokes,
+        ...lengths,
+        ...power,
         z_to_waist_mm: Infinity,
-        zR_mm: Infinity
+        zR_mm: Infinity,
+        w_x_um: w_um, w_y_um: w_um,
+        w0_x_um: w_um, w0_y_um: w_um,
+        z_to_waist_x_mm: Infinity, z_to_waist_y_mm: Infinity,
+        zR_x_mm: Infinity, zR_y_mm: Infinity,
+        R_x_mm: Infinity, R_y_mm: Infinity
       };
     }
 
-    const invq = p.q.inv();
-    const zR_m = p.q.im;
-    const lambda = getPathLambda(p);
-    const w_um = widthFor(p) * 1e6;
-    const w0_um = Math.sqrt(zR_m * lambda * p.M2 / Math.PI) * 1e6;
-    const R_mm = (Math.abs(invq.re) < 1e-12) ? Infinity : (1 / invq.re) * 1e3;
+    // Unsuffixed fields follow the horizontal (x) axis so round beams read as before
+    const mx = axisMetrics(p, p.qx);
+    const my = axisMetrics(p, p.qy);
     return {
-      w_um,
-      w0_um,
-      R_mm,
+      ...mx,
       Irel,
       psi_deg: polAngles.psiDeg,
       chi_deg: polAngles.chiDeg,
-      z_to_waist_mm: p.q.re * 1e3,
-      zR_mm: zR_m * 1e3
+      ...stokes,
+      ...lengths,
+      ...power,
+      w_x_um: mx.w_um, w_y_um: my.w_um,
+      w0_x_um: mx.w0_um, w0_y_um: my.w0_um,
+      z_to_waist_x_mm: mx.z_to_waist_mm, z_to_waist_y_mm: my.z_to_waist_mm,
+      zR_x_mm: mx.zR_mm, zR_y_mm: my.zR_mm,
+      R_x_mm: mx.R_mm, R_y_mm: my.R_mm
     };
   };
   const beamReadout = (p, metrics, extra = {}) => ({
@@ -269,48 +674,100 @@ export function recompute(context) {
     R_mm: metrics.R_mm,
     psi_deg: metrics.psi_deg,
     chi_deg: metrics.chi_deg,
+    S0: metrics.S0, S1: metrics.S1, S2: metrics.S2, S3: metrics.S3,
+    dop: metrics.dop,
     z_to_waist_mm: metrics.z_to_waist_mm,
     zR_mm: metrics.zR_mm,
+    w_x_um: metrics.w_x_um,
+    w_y_um: metrics.w_y_um,
+    w0_x_um: metrics.w0_x_um,
+    w0_y_um: metrics.w0_y_um,
+    z_to_waist_x_mm: metrics.z_to_waist_x_mm,
+    z_to_waist_y_mm: metrics.z_to_waist_y_mm,
+    zR_x_mm: metrics.zR_x_mm,
+    zR_y_mm: metrics.zR_y_mm,
+    R_x_mm: metrics.R_x_mm,
+    R_y_mm: metrics.R_y_mm,
+    axesSnapped_deg: p.axesSnapped_deg,
+    geom_mm: metrics.geom_mm,
+    opl_mm: metrics.opl_mm,
+    gouy_deg: metrics.gouy_deg,
+    power_W: metrics.power_W,
+    peakIrr_W_cm2: metrics.peakIrr_W_cm2,
+    fluence_J_cm2: metrics.fluence_J_cm2,
+    wavelength_nm: getPathLambda(p) * 1e9,
+    M2: p.M2,
     outgoingDir: p.dir.clone(),
     basisUp: _projectBasisUp(p.dir, _cloneBasisUp(p)),
     jones: [p.J[0].clone(), p.J[1].clone()],
     ...extra
   });
-  const buildRayOffsets = (apertureRadiusM, spacingM) => {
-    const r = Math.max(0, Number(apertureRadiusM));
-    const s = Math.max(1e-9, Number(spacingM));
-    if (r <= 0) return [{ x: 0, y: 0 }];
-
-    const out = [];
-    for (let y = -r; y <= r + 1e-12; y += s) {
-      for (let x = -r; x <= r + 1e-12; x += s) {
-        if ((x * x + y * y) <= (r * r + 1e-15)) out.push({ x, y });
-      }
-    }
-    if (!out.length) out.push({ x: 0, y: 0 });
-    return out;
+  // Copy of a path's history and beam state, used for every branch that forks off it
+  const cloneBase = (path) => ({
+    pos: path.pos.clone(), qx: path.qx.clone(), qy: path.qy.clone(), traveled: path.traveled, lastHit: null,
+    maxLen: path.maxLen, [LAMBDA_KEY]: getPathLambda(path), Jnorm: path.Jnorm, I0: path.I0, M2: path.M2,
+    P0_W: path.P0_W, repRate_Hz: path.repRate_Hz,
+    beamModel: path.beamModel, rayRadius_m: path.rayRadius_m,
+    pts: path.pts.slice(), dirs: path.dirs.slice(), widths: path.widths.slice(),
+    widthsY: path.widthsY.slice(), ups: path.ups.slice(),
+    amps: path.amps.slice(), polSamples: path.polSamples.slice(),
+    polSampleCountdown: path.polSampleCountdown,
+    nMedium: path.nMedium, axesSnapped_deg: path.axesSnapped_deg,
+    opl: path.opl, gouy: path.gouy, coherenceId: path.coherenceId,
+    pulse: path.pulse, gd: path.gd, gdd: path.gdd, tod: path.tod, medium: path.medium, route: path.route,
+    pupil: path.pupil, source: path.source,
+    basisUp: _cloneBasisUp(path)
+  });
+  // Apply a linear Jones map to src's field (and its incoherent partner) and store it on dst
+  const mapJ = (dst, src, fn) => {
+    dst.J = fn(src.J);
+    dst.Jb = src.Jb ? fn(src.Jb) : null;
+    return dst;
   };
-  const capOffsets = (offsets, maxCount) => {
-    if (offsets.length <= maxCount) return offsets;
-    const n = Math.max(1, maxCount);
-    const step = offsets.length / n;
-    const out = [];
-    for (let i = 0; i < n; i++) out.push(offsets[Math.floor(i * step)]);
-    return out;
+  // Same for maps that also carry the outgoing basis: fn(J) -> { J, basisUp }
+  const mapPol = (src, fn) => ({ ...fn(src.J), Jb: src.Jb ? fn(src.Jb).J : null });
+  // Append the path's current state as a ribbon vertex
+  const recordVertex = (p) => {
+    p.pts.push(p.pos.clone());
+    p.dirs.push(p.dir.clone());
+    p.widths.push(widthFor(p));
+    p.widthsY.push(widthFor(p, null, "y"));
+    p.ups.push(_cloneBasisUp(p));
+    p.amps.push(_pathAmp(p));
   };
 
   // Seed paths per source (forward & backward) â€” with broadband spectral sampling
-  for (const s of activeSources) {
+  for (const s of sources) {
     clampToPlaneXZ(s.group);
     syncSourceW0ZR(s);
 
     const beamMode = (s.props.beamMode === "rays") ? "rays" : "gaussian";
+    const sourceId = s.group.userData.element?.id ?? sources.indexOf(s);
+    // Source power (CW or average) in watts; pulsed sources also carry their repetition rate
+    const powerW = Math.max(0, Number(s.props.power ?? 1)) * ((s.props.power_unit === "W") ? 1 : 1e-3);
+    const repRateHz = (s.props.power_mode === "Average") ? Math.max(0, Number(s.props.rep_rate_kHz ?? 0)) * 1e3 : 0;
     const lambda0 = Number(s.props.wavelength_nm) * 1e-9;
     const bandwidthNm = Math.max(0, Number(s.props.bandwidth_nm || 0));
     const intensityRel = Math.max(0, Number(s.props.intensity_rel ?? 1));
+    // Seeds carry intensity_rel in |J|^2, so paths hold the power per unit of it and the
+    // source's `power` alone sets the absolute scale
+    const pathPowerW = (intensityRel > 0) ? powerW / intensityRel : 0;
     const m2 = Math.max(1.0, Number(s.props.M2 ?? 1.0));
     const jSrc0 = jonesFrom(s.props.polPreset, s.props.customPolEx, s.props.customPolEy);
     const jNorm0 = Math.max(1e-12, jNorm(jSrc0));
+    const pol0 = _splitByDop(jSrc0, s.props.dop);
+    const scaleJ = (J, k) => J && [J[0].mul(k), J[1].mul(k)];
+    // Pulsed sources: each spectral sample starts with the group delay of the initial chirp
+    const pulse = (s.props.power_mode === "Average" && Number(s.props.pulse_fs) > 0) ? {
+      tau0_s: Number(s.props.pulse_fs) * 1e-15,
+      omega0: 2 * Math.PI * C_LIGHT / lambda0,
+      gdd0: (Number(s.props.chirp_fs2) || 0) * 1e-30
+    } : null;
+    const pulseState = (sample) => pulse ? {
+      pulse,
+      gd: pulse.gdd0 * (2 * Math.PI * C_LIGHT / sample.lambda - pulse.omega0),
+      gdd: pulse.gdd0, tod: 0, medium: null, route: ""
+    } : { pulse: null };
 
     const originCenter = s.group.position.clone();
     const qSrc = s.group.getWorldQuaternion(new THREE.Quaternion());
@@ -345,27 +802,31 @@ export function recompute(context) {
     if (dirCount === 0) continue;
 
     if (beamMode === "rays") {
-      const apertureRadiusM = Math.max(0, Number(s.props.rays_aperture_radius_mm ?? 1.0)) * 1e-3;
-      const spacingM = Math.max(1, Number(s.props.rays_spacing_um ?? 600)) * 1e-6;
       const rayRadiusM = Math.max(1, Number(s.props.rays_radius_um ?? 50)) * 1e-6;
 
-      let offsets = buildRayOffsets(apertureRadiusM, spacingM);
+      // Positions, direction sines and weights from the source's pupil pattern and emission model
       const maxOffsets = Math.max(1, Math.floor(MAX_RAY_SEEDS / Math.max(1, dirCount * samples.length)));
-      offsets = capOffsets(offsets, maxOffsets);
-      const raysUsed = Math.max(1, offsets.length);
-
-      const makeRaySeed = (rayOrigin, dir, maxLen, sample) => {
-        const jScaled = [
-          jSrc0[0].mul(Math.sqrt(sample.weight * intensityRel / raysUsed)),
-          jSrc0[1].mul(Math.sqrt(sample.weight * intensityRel / raysUsed))
-        ];
-        const amp0 = jNorm(jScaled) / jNorm0;
+      const bundle = rayBundle(s.props, Number(sourceId) || 1, maxOffsets);
+      const weightSum = bundle.reduce((acc, r) => acc + r.w, 0) || 1;
+
+      // `pupil` is the ray's normalized aperture (or cone) coordinate, used for ray fans
+      const makeRaySeed = (rayOrigin, dir, maxLen, sample, pupil, w) => {
+        const k = Math.sqrt(sample.weight * intensityRel * w / weightSum);
+        // Tilted rays keep their transverse basis perpendicular to the ray
+        const up = axisY.clone().addScaledVector(dir, -axisY.dot(dir)).normalize();
+        const jScaled = scaleJ(pol0.J, k);
+        const amp0 = jNorm(scaleJ(jSrc0, k)) / jNorm0;
         return {
           pos: rayOrigin.clone(),
           dir: dir.clone(),
-          q: new Complex(0, 1e9), // placeholder q; rays mode keeps fixed radius
+          qx: new Complex(0, 1e9), // placeholder q; rays mode keeps fixed radius
+          qy: new Complex(0, 1e9),
           J: [jScaled[0].clone(), jScaled[1].clone()],
+          Jb: scaleJ(pol0.Jb, k),
           Jnorm: jNorm0,
+          I0: amp0 * amp0,
+          P0_W: pathPowerW,
+          repRate_Hz: repRateHz,
           [LAMBDA_KEY]: sample.lambda,
           M2: m2,
           beamModel: "rays",
@@ -376,21 +837,39 @@ export function recompute(context) {
           pts: [rayOrigin.clone()],
           dirs: [dir.clone()],
           widths: [rayRadiusM],
+          widthsY: [rayRadiusM],
+          ups: [up.clone()],
           amps: [amp0],
           polSamples: [],
           polSampleCountdown: POL_SPACING / 2.0,
           nMedium: 1.0,
-          basisUp: axisY.clone(),
+          opl: 0,
+          gouy: 0,
+          coherenceId: `${sourceId}|${sample.lambda}`,
+          ...pulseState(sample),
+          route: "",
+          pupil: pupil,
+          source: sourceId,
+          basisUp: up,
         };
       };
 
       for (const sample of samples) {
-        for (const off of offsets) {
+        for (const ray of bundle) {
           const rayOrigin = originCenter.clone()
-            .add(axisX.clone().multiplyScalar(off.x))
-            .add(axisY.clone().multiplyScalar(off.y));
-          if (forwardLen > 0) queue.push(makeRaySeed(rayOrigin, dirF, forwardLen, sample));
-          if (backwardLen > 0) queue.push(makeRaySeed(rayOrigin, dirB, backwardLen, sample));
+            .add(axisX.clone().multiplyScalar(ray.x))
+            .add(axisY.clone().multiplyScalar(ray.y));
+          const pupil = { x: ray.px, y: ray.py };
+          const tilt = axisX.clone().multiplyScalar(ray.tx).add(axisY.clone().multiplyScalar(ray.ty));
+          const cosT = Math.sqrt(Math.max(0, 1 - ray.tx * ray.tx - ray.ty * ray.ty));
+          if (forwardLen > 0) {
+            const dir = dirF.clone().multiplyScalar(cosT).add(tilt).normalize();
+            queue.push(makeRaySeed(rayOrigin, dir, forwardLen, sample, pupil, ray.w));
+          }
+          if (backwardLen > 0) {
+            const dir = dirB.clone().multiplyScalar(cosT).add(tilt).normalize();
+            queue.push(makeRaySeed(rayOrigin, dir, backwardLen, sample, pupil, ray.w));
+          }
         }
       }
       continue;
@@ -398,20 +877,26 @@ export function recompute(context) {
 
     const w0M = Math.max(1e-9, Number(s.props.waist_w0_um) * 1e-6);
     const zRCenterM = Math.max(1e-12, Number(s.props.rayleigh_mm) * 1e-3);
+    // Elliptical sources: w0y = ratio * w0x, so zRy scales with ratio^2
+    const waistRatioY = Math.max(1e-3, Number(s.props.waist_ratio_y ?? 1));
     const makeGaussianSeed = (dir, maxLen, sample) => {
       const zR = (s.lastEdited === 'w0') ? (Math.PI * w0M * w0M / sample.lambda) / m2 : zRCenterM;
       const q0 = new Complex(0, zR);
-      const jScaled = [
-        jSrc0[0].mul(Math.sqrt(sample.weight * intensityRel)),
-        jSrc0[1].mul(Math.sqrt(sample.weight * intensityRel))
-      ];
-      const amp0 = jNorm(jScaled) / jNorm0;
+      const q0y = new Complex(0, zR * waistRatioY * waistRatioY);
+      const k = Math.sqrt(sample.weight * intensityRel);
+      const jScaled = scaleJ(pol0.J, k);
+      const amp0 = jNorm(scaleJ(jSrc0, k)) / jNorm0;
       return {
         pos: originCenter.clone(),
         dir: dir.clone(),
-        q: q0.clone(),
+        qx: q0.clone(),
+        qy: q0y.clone(),
         J: [jScaled[0].clone(), jScaled[1].clone()],
+        Jb: scaleJ(pol0.Jb, k),
         Jnorm: jNorm0,
+        I0: amp0 * amp0, // launched relative intensity; ghost threshold is measured against it
+        P0_W: pathPowerW,
+        repRate_Hz: repRateHz,
         [LAMBDA_KEY]: sample.lambda,
         M2: m2,
         beamModel: "gaussian",
@@ -422,10 +907,17 @@ export function recompute(context) {
         pts: [originCenter.clone()],
         dirs: [dir.clone()],
         widths: [wFromQ(q0.clone(), sample.lambda, m2)],
+        widthsY: [wFromQ(q0y.clone(), sample.lambda, m2)],
+        ups: [axisY.clone()],
         amps: [amp0],
         polSamples: [],
         polSampleCountdown: POL_SPACING / 2.0,
         nMedium: 1.0,
+        opl: 0,
+        gouy: 0,
+        // Paths sharing this id (same source, same spectral sample) interfere at detectors
+        coherenceId: `${sourceId}|${sample.lambda}`,
+        ...pulseState(sample),
         basisUp: axisY.clone(),
       };
     };
@@ -436,18 +928,182 @@ export function recompute(context) {
     }
   }
 const AMP_CUTOFF = 0.02;
+  // Polarizer/PBS leakage is followed far below AMP_CUTOFF (1e-8 in intensity) so that
+  // isolator and balanced-detection layouts show where it goes
+  const LEAK_CUTOFF = 1e-4;
   const MAX_BEAMS  = 600;
 
-  // Grating orders using demo convention: sin(beta) = sin(alpha) - m * lambda / d
+  // Light arriving at each element: total power, and peak irradiance/fluence where the
+  // beams land on top of each other (Gaussian paths add, ray tubes take the brightest)
+  const incidentLoad = new Map();
+  function trackIncident(el, path){
+    const m = computeBeamMetrics(path);
+    const load = incidentLoad.get(el.id) || { power_W: 0, gauss_W_cm2: 0, ray_W_cm2: 0, fluence_J_cm2: 0 };
+    load.power_W += m.power_W;
+    if (path.beamModel === "rays") load.ray_W_cm2 = Math.max(load.ray_W_cm2, m.peakIrr_W_cm2);
+    else load.gauss_W_cm2 += m.peakIrr_W_cm2;
+    if (Number.isFinite(m.fluence_J_cm2)) load.fluence_J_cm2 += m.fluence_J_cm2;
+    incidentLoad.set(el.id, load);
+  }
+
+  // Power clipped by each element's clear aperture. Gaussian paths lose the part of their
+  // footprint that misses the optic; |J| is scaled so the transmitted power is the enclosed fraction.
+  const CLIP_WARN = 0.01;
+  const apertureLoss = new Map();
+  function clipToAperture(el, path, hit){
+    if (path.beamModel === "rays") return;
+    const inside = _gaussianApertureFraction(_apertureOf(el), hit.point, path.dir, _cloneBasisUp(path),
+      widthFor(path), widthFor(path, null, "y"));
+    if (inside >= 1 - 1e-6) return;
+    const lost_W = (path.P0_W ?? 0) * _pathAmp(path) ** 2 * (1 - inside);
+    const amp = Math.sqrt(inside);
+    mapJ(path, path, J => [J[0].mul(amp), J[1].mul(amp)]);
+    const rec = apertureLoss.get(el.id) || { minFraction: 1, lost_W: 0 };
+    rec.minFraction = Math.min(rec.minFraction, inside);
+    rec.lost_W += lost_W;
+    apertureLoss.set(el.id, rec);
+  }
+
+  // Complex fields reaching each detector: Map<elementId, Map<coherenceId, field[]>>.
+  // Reflection phases already live in J; propagation adds k0·OPL minus the Gouy phase.
+  const detectorFields = new Map();
+  function collectDetectorField(el, path){
+    const phase = (2 * Math.PI / getPathLambda(path)) * (path.opl ?? 0) - (path.gouy ?? 0);
+    const ph = Complex.expi(phase);
+    if (!detectorFields.has(el.id)) detectorFields.set(el.id, new Map());
+    const groups = detectorFields.get(el.id);
+    // Ray bundles sample different points of the detector, so each ray is its own group.
+    // The unpolarized partner only interferes with partners split from the same source.
+    const key = (path.beamModel === "rays") ? Symbol("ray") : path.coherenceId;
+    const parts = [[key, path.J], [(path.beamModel === "rays") ? Symbol("ray") : `${key}|b`, path.Jb]];
+    for (const [k, Jp] of parts) {
+      if (!Jp) continue;
+      const J = [Jp[0].mul(ph).mul(1 / path.Jnorm), Jp[1].mul(ph).mul(1 / path.Jnorm)];
+      if (!groups.has(k)) groups.set(k, []);
+      groups.get(k).push(_jonesToWorldField(J, path.dir, _cloneBasisUp(path)));
+    }
+  }
+
+  // Real rays leaving each thick lens through the far surface, per wavelength:
+  // Map<elementId, Map<lambda, {h, z, sinU}[]>>
+  const lensRays = new Map();
+  function collectLensRay(el, path, exitPoint, exitDir, dirSign){
+    const entry = path.lensEntry;
+    const qW = el.mesh.getWorldQuaternion(new THREE.Quaternion());
+    const axis = new THREE.Vector3(0, 0, 1).applyQuaternion(qW).multiplyScalar(dirSign);
+    const centre = el.mesh.getWorldPosition(new THREE.Vector3());
+    // Closest approach of the exit ray to the lens axis
+    const w = exitPoint.clone().sub(centre);
+    const b = axis.dot(exitDir);
+    const den = 1 - b * b;
+    if (den < 1e-12) return;   // leaves parallel to the axis: no focus
+    const aw = axis.dot(w), dw = exitDir.dot(w);
+    const s = (aw - b * dw) / den;
+    const t = (b * aw - dw) / den;
+    const miss = w.add(exitDir.clone().multiplyScalar(t)).sub(axis.clone().multiplyScalar(s)).length();
+    if (t <= 0 || miss > 1e-2 * entry.h) return;   // skew rays have no axial focus
+    const exitVertex = (dirSign > 0) ? Number(el.props.thickness) || 0 : 0;
+    const lambda = getPathLambda(path);
+    if (!lensRays.has(el.id)) lensRays.set(el.id, new Map());
+    const byLambda = lensRays.get(el.id);
+    if (!byLambda.has(lambda)) byLambda.set(lambda, []);
+    byLambda.get(lambda).push({ h: entry.h, z: s - exitVertex, sinU: Math.sqrt(den) });
+  }
+
+  // Real rays crossing each detector plane, grouped by source and route:
+  // Map<elementId, Map<sourceId, Map<route, ray[]>>>
+  const detectorSpots = new Map();
+  function collectSpotRay(el, path, point){
+    if (path.beamModel !== "rays" || !path.pupil) return;
+    const qW = el.mesh.getWorldQuaternion(new THREE.Quaternion());
+    const local = point.clone().sub(el.mesh.getWorldPosition(new THREE.Vector3())).applyQuaternion(qW.invert());
+    if (!detectorSpots.has(el.id)) detectorSpots.set(el.id, new Map());
+    const bySource = detectorSpots.get(el.id);
+    if (!bySource.has(path.source)) bySource.set(path.source, new Map());
+    const routes = bySource.get(path.source);
+    if (!routes.has(path.route)) routes.set(path.route, []);
+    routes.get(path.route).push({
+      x: local.x, y: local.y, px: path.pupil.x, py: path.pupil.y,
+      dir: path.dir.clone(), lambda: getPathLambda(path), w: Math.pow(_pathAmp(path), 2)
+    });
+  }
+
+  // Spectral samples of pulsed sources reaching each detector, grouped by source and route:
+  // Map<elementId, Map<pulse, Map<route, sample[]>>>
+  const detectorPulses = new Map();
+  function collectPulseSample(el, path){
+    if (!path.pulse) return;
+    if (!detectorPulses.has(el.id)) detectorPulses.set(el.id, new Map());
+    const byRoute = detectorPulses.get(el.id);
+    if (!byRoute.has(path.pulse)) byRoute.set(path.pulse, new Map());
+    const routes = byRoute.get(path.pulse);
+    if (!routes.has(path.route)) routes.set(path.route, []);
+    routes.get(path.route).push({
+      omega: 2 * Math.PI * C_LIGHT / getPathLambda(path),
+      gd: path.gd, gdd: path.gdd, tod: path.tod,
+      w: Math.pow(_pathAmp(path), 2)
+    });
+  }
+
+  // Stokes vector of everything reaching a detector, in the (v, u) frame of its reported beam:
+  // fields add coherently within a group and their Stokes vectors add across groups, so
+  // spectral samples and unpolarized partners lower the DOP.
+  function detectorStokes(groups, dir, basisUp){
+    const S = [0, 0, 0, 0];
+    for (const fields of groups.values()) {
+      const sumRe = new THREE.Vector3(), sumIm = new THREE.Vector3();
+      for (const f of fields) { sumRe.add(f.real); sumIm.add(f.imag); }
+      stokesFromJones(_worldFieldToJones({ real: sumRe, imag: sumIm }, dir, basisUp))
+        .forEach((v, i) => { S[i] += v; });
+    }
+    return S;
+  }
+
+  // Coherent sum per group, incoherent across groups. Fringe visibility is the
+  // cross-term weight Σ_{i≠j}|E_i·E_j*| / Σ|E_i|², i.e. (Imax − Imin)/(Imax + Imin).
+  function summarizeDetectorFields(groups){
+    let Icoh = 0, Iincoh = 0, cross = 0, beams = 0;
+    for (const fields of groups.values()) {
+      const sumRe = new THREE.Vector3(), sumIm = new THREE.Vector3();
+      for (let i = 0; i < fields.length; i++) {
+        const a = fields[i];
+        sumRe.add(a.real); sumIm.add(a.imag);
+        Iincoh += a.real.lengthSq() + a.imag.lengthSq();
+        for (let j = i + 1; j < fields.length; j++) {
+          const b = fields[j];
+          // E_a · E_b* for complex vectors split into real/imag parts
+          const re = a.real.dot(b.real) + a.imag.dot(b.imag);
+          const im = a.imag.dot(b.real) - a.real.dot(b.imag);
+          cross += 2 * Math.hypot(re, im);
+        }
+      }
+      Icoh += sumRe.lengthSq() + sumIm.lengthSq();
+      beams += fields.length;
+    }
+    return {
+      Icoh,
+      Iincoh,
+      visibility: (Iincoh > 1e-18) ? Math.min(1, cross / Iincoh) : 0,
+      beams
+    };
+  }
+
+  // Grating orders from the 3D grating equation k_out,t = k_in,t − m·G (|G| = λ/d along local X).
+  // The groove component of the direction is conserved, so off-plane beams leave on the
+  // diffraction cone. In the plane of incidence this is sin(beta) = sin(alpha) - m * lambda / d;
+  // alpha/beta are reported in the plane across the grooves, gamma is the conical angle.
   function computeGratingOrders(el, inDir, lambda){
     const qW = el.mesh.getWorldQuaternion(new THREE.Quaternion());
     const n = new THREE.Vector3(0,0,1).applyQuaternion(qW).normalize(); // full normal
     let t  = new THREE.Vector3(1,0,0).applyQuaternion(qW);              // local +X
     t = t.sub(n.clone().multiplyScalar(t.dot(n))).normalize();          // Gramâ€“Schmidt into the grating plane
+    const g = new THREE.Vector3().crossVectors(n, t);                   // along the grooves
     const sinAlpha = THREE.MathUtils.clamp(inDir.dot(t), -1, 1);
+    const sinGamma = THREE.MathUtils.clamp(inDir.dot(g), -1, 1);
     const cosAlpha = Math.abs(THREE.MathUtils.clamp(inDir.dot(n), -1, 1));
     const alpha = Math.atan2(sinAlpha, cosAlpha);
     const alphaDeg = THREE.MathUtils.radToDeg(alpha);
+    const gammaDeg = THREE.MathUtils.radToDeg(Math.asin(sinGamma));
 
     const d = el.props.d_um * 1e-6;
     const M = Math.max(0, Math.floor(el.props.orders));
@@ -456,22 +1112,53 @@ const AMP_CUTOFF = 0.02;
     const out = [];
     for(let m=-M; m<=M; m++){
       const sinBeta = sinAlpha - (m * lambda / d);
-      if(Math.abs(sinBeta) > 1) continue;
-      const cosBeta = Math.sqrt(Math.max(0, 1 - sinBeta*sinBeta));
+      const nSq = 1 - sinBeta*sinBeta - sinGamma*sinGamma;
+      if(nSq < 0) continue; // evanescent
+      const cosBeta = Math.sqrt(nSq);
       const beta = Math.atan2(sinBeta, cosBeta);
       const betaDeg = THREE.MathUtils.radToDeg(beta);
       const nComp = (el.props.mode === "reflective" ? -fromSide : fromSide) * cosBeta;
-      const dirOut = n.clone().multiplyScalar(nComp).add( t.clone().multiplyScalar(sinBeta) ).normalize();
+      const dirOut = n.clone().multiplyScalar(nComp)
+        .addScaledVector(t, sinBeta)
+        .addScaledVector(g, sinGamma)
+        .normalize();
+      // dβ/dλ = −m / (d · k_out,n), also on the cone
       const disp_deg_per_nm = (cosBeta > 1e-12) ? Math.abs(-m / (d * cosBeta)) * (180/Math.PI) * 1e-9 : Infinity;
-      out.push({ m, dir: dirOut, betaDeg, disp_deg_per_nm });
+      // Anamorphic magnification of the beam width in the dispersion plane
+      const mag = Math.cos(beta) / Math.max(1e-9, Math.cos(alpha));
+      out.push({ m, dir: dirOut, betaDeg, disp_deg_per_nm, mag });
     }
+    for (const o of out) o.eff = el.efficiency ? el.efficiency(o.m, lambda, out.length) : { s: 1 / out.length, p: 1 / out.length };
     gratingLastInfo.set(el.id, {
       alphaDeg,
-      entries: out.map(o => ({ m:o.m, thetaDeg:o.betaDeg, disp_deg_per_nm:o.disp_deg_per_nm }))
+      gammaDeg,
+      entries: out.map(o => ({ m:o.m, thetaDeg:o.betaDeg, disp_deg_per_nm:o.disp_deg_per_nm, mag:o.mag, eff_s:o.eff.s, eff_p:o.eff.p }))
     });
     return { orders: out };
   }
 
+  // Weak Fresnel reflection off an uncoated surface. It is only traced while its intensity
+  // stays above params.ghostThreshold times what its source sample launched.
+  function spawnGhost(path, hit, el, nHit, fr, reflectFn = null, extra = {}){
+    const threshold = Math.max(0, Number(params.ghostThreshold ?? 0.01));
+    const ghost = cloneBase(path);
+    ghost.dir = reflectAcrossHitNormal(path.dir, hit, el);
+    ghost.lastHit = hit.object;
+    const ghostPol = mapPol(path, J => _reflectJonesWithBasis(J, path.dir, ghost.dir, nHit, 1, _cloneBasisUp(path), { s: fr.rs, p: fr.rp }));
+    ghost.J = ghostPol.J;
+    ghost.Jb = ghostPol.Jb;
+    ghost.basisUp = ghostPol.basisUp;
+
+    const aRel = _pathAmp(ghost);
+    if (aRel < AMP_CUTOFF || aRel * aRel < threshold * (path.I0 ?? 1)) return null;
+
+    if (reflectFn && path.beamModel !== "rays") _applyAbcdXY(ghost, nHit, reflectFn, extra, path);
+    recordVertex(ghost);
+    ghost.pos.add(ghost.dir.clone().multiplyScalar(1e-6));
+    queue.push(ghost);
+    return ghost;
+  }
+
   while(queue.length && (completedPaths.length + queue.length) < MAX_BEAMS){
     const path = queue.shift();
 
@@ -482,7 +1169,7 @@ const AMP_CUTOFF = 0.02;
   if (!path.lastHit) return true;
   if (h.object !== path.lastHit) return true;
   return h.distance > 1e-7;  // tweak epsilon if needed
-});
+}).filter(h => _hitInsideAperture(h, h.object.userData.element));
 
       // Split a free-space segment [0, L] at the waist if it sits inside
       const sampleSegment = (L)=>{
@@ -508,20 +1195,22 @@ const AMP_CUTOFF = 0.02;
         }
 
         // q(z) = q0 + z in free space for Gaussian mode. Rays mode keeps fixed radius.
-        const q0 = path.q;
+        const q0x = path.qx, q0y = path.qy;
         const cuts = [0, L];
         if (path.beamModel !== "rays") {
-          const zWaist = -Number(q0.re);
-          if (Number.isFinite(zWaist) && zWaist > 0 && zWaist < L){
-            const eps = Math.max(L*1e-4, 1e-6);   // tiny guard to avoid a degenerate strip
-            cuts.push(Math.max(0, zWaist - eps));
-            cuts.push(zWaist);
-            cuts.push(Math.min(L, zWaist + eps));
+          for (const q0 of [q0x, q0y]) {
+            const zWaist = -Number(q0.re);
+            if (Number.isFinite(zWaist) && zWaist > 0 && zWaist < L){
+              const eps = Math.max(L*1e-4, 1e-6);   // tiny guard to avoid a degenerate strip
+              cuts.push(Math.max(0, zWaist - eps));
+              cuts.push(zWaist);
+              cuts.push(Math.min(L, zWaist + eps));
+            }
           }
         }
         cuts.sort((a,b)=>a-b);
 
-        const aHere = jNorm(path.J) / path.Jnorm;
+        const aHere = _pathAmp(path);
 
         for (let k=0; k<cuts.length-1; k++){
           const a = cuts[k], b = cuts[k+1];
@@ -531,11 +1220,14 @@ const AMP_CUTOFF = 0.02;
           const N = Math.min(160, Math.max(10, Math.floor(subL*50)));
           for (let i=1; i<=N; i++){
             const t = a + (i/N)*subL;               // distance from current path.pos
-            const qHere = (path.beamModel === "rays") ? q0 : freeSpace(q0, t);
+            const qHereX = (path.beamModel === "rays") ? q0x : freeSpace(q0x, t);
+            const qHereY = (path.beamModel === "rays") ? q0y : freeSpace(q0y, t);
             const p = path.pos.clone().add(path.dir.clone().multiplyScalar(t));
             path.pts.push(p);
             path.dirs.push(path.dir.clone());
-            path.widths.push(widthFor(path, qHere));
+            path.widths.push(widthFor(path, qHereX));
+            path.widthsY.push(widthFor(path, qHereY, "y"));
+            path.ups.push(_cloneBasisUp(path));
             path.amps.push(aHere);
           }
         }
@@ -545,6 +1237,7 @@ const AMP_CUTOFF = 0.02;
       if(!hits.length){
         const L = path.maxLen - path.traveled;
         sampleSegment(L);
+        advancePhase(path, L);
         path.traveled += L;
         break;
       }
@@ -554,13 +1247,23 @@ const AMP_CUTOFF = 0.02;
 
       // propagate to plane
       sampleSegment(L);
+      advancePhase(path, L);
       path.traveled += L;
       path.pos = hit.point.clone();
       if (path.beamModel !== "rays") {
-        path.q = freeSpace(path.q, L);
+        path.qx = freeSpace(path.qx, L);
+        path.qy = freeSpace(path.qy, L);
       }
 
       const el = hit.object.userData.element;
+      // Internal surfaces (thick lens back face, mirror substrate) were already counted on entry
+      if (path.lastHit?.userData?.element !== el) {
+        trackIncident(el, path);
+        clipToAperture(el, path, hit);
+      }
+      // Pulsed paths and real rays remember the elements they met, so detectors
+      // fit pulses and draw spot diagrams one route at a time
+      if (typeof path.route === "string") path.route += `/${el.id}`;
 
       // Calculate Angle of Incidence (AOI) for any element hit
       const qW_hit = el.mesh.getWorldQuaternion(new THREE.Quaternion());
@@ -577,61 +1280,48 @@ const AMP_CUTOFF = 0.02;
       if(el.type === "beamSplitter"){
         const isPBS = !!el.props.polarizing;
         const wantTransmit = (el.props.polTransmit === "Vertical");
+        // p = the transmitted polarization (Jones index pIdx), s = the reflected one
+        const pIdx = wantTransmit ? 1 : 0;
+        const pbs = isPBS ? el.pbsCoefficients() : null;
+        const byPol = (J, ap, as) => (pIdx === 1) ? [ J[0].mul(as), J[1].mul(ap) ] : [ J[0].mul(ap), J[1].mul(as) ];
 
-        const cloneBase = () => ({
-          pos: path.pos.clone(), q: path.q.clone(), traveled: path.traveled, lastHit: null,
-          maxLen: path.maxLen, [LAMBDA_KEY]: getPathLambda(path), Jnorm: path.Jnorm, M2: path.M2,
-          beamModel: path.beamModel, rayRadius_m: path.rayRadius_m,
-          pts: path.pts.slice(), dirs: path.dirs.slice(), widths: path.widths.slice(),
-          amps: path.amps.slice(), polSamples: path.polSamples.slice(),
-          polSampleCountdown: path.polSampleCountdown,
-          nMedium: path.nMedium,
-          basisUp: _cloneBasisUp(path)
-        });
-
-        const transmitted = cloneBase();
+        const transmitted = cloneBase(path);
         transmitted.dir = path.dir.clone();
         transmitted.lastHit = hit.object; // Prevent back-face reflection
         if(isPBS){
-          transmitted.J = wantTransmit ? [ new Complex(0,0), path.J[1].clone() ]
-                                       : [ path.J[0].clone(), new Complex(0,0) ];
+          mapJ(transmitted, path, J => byPol(J, Math.sqrt(pbs.Tp), Math.sqrt(pbs.Ts)));
         } else {
           const R = Math.min(1, Math.max(0, el.props.R ?? 0.5));
           const T = 1 - R;
-          transmitted.J = [ path.J[0].mul(Math.sqrt(T)), path.J[1].mul(Math.sqrt(T)) ];
+          mapJ(transmitted, path, J => [ J[0].mul(Math.sqrt(T)), J[1].mul(Math.sqrt(T)) ]);
         }
-        transmitted.pts.push(transmitted.pos.clone());
-        transmitted.dirs.push(transmitted.dir.clone());
-        transmitted.widths.push(widthFor(transmitted));
-        transmitted.amps.push( jNorm(transmitted.J) / transmitted.Jnorm );
+        recordVertex(transmitted);
         transmitted.pos.add(transmitted.dir.clone().multiplyScalar(1e-6));
 
-        const reflected = cloneBase();
+        const reflected = cloneBase(path);
         reflected.dir = reflectAcrossElementNormal(path.dir, el);
         reflected.lastHit = hit.object;
         const reflectNormal = _elementWorldNormal(el);
         if(isPBS){
-          const reflectedInputJ = wantTransmit ? [ path.J[0].clone(), new Complex(0,0) ]
-                                               : [ new Complex(0,0), path.J[1].clone() ];
-          const reflectedPol = _reflectJonesWithBasis(reflectedInputJ, path.dir, reflected.dir, reflectNormal, 1, _cloneBasisUp(path));
+          const reflectedInput = (J) => byPol(J, Math.sqrt(pbs.Rp), Math.sqrt(pbs.Rs));
+          const reflectedPol = mapPol(path, J => _reflectJonesWithBasis(reflectedInput(J), path.dir, reflected.dir, reflectNormal, 1, _cloneBasisUp(path)));
           reflected.J = reflectedPol.J;
+          reflected.Jb = reflectedPol.Jb;
           reflected.basisUp = reflectedPol.basisUp;
         } else {
           const R = Math.min(1, Math.max(0, el.props.R ?? 0.5));
-          const reflectedPol = _reflectJonesWithBasis(path.J, path.dir, reflected.dir, reflectNormal, Math.sqrt(R), _cloneBasisUp(path));
+          const reflectedPol = mapPol(path, J => _reflectJonesWithBasis(J, path.dir, reflected.dir, reflectNormal, Math.sqrt(R), _cloneBasisUp(path)));
           reflected.J = reflectedPol.J;
+          reflected.Jb = reflectedPol.Jb;
           reflected.basisUp = reflectedPol.basisUp;
         }
-        reflected.pts.push(reflected.pos.clone());
-        reflected.dirs.push(reflected.dir.clone());
-        reflected.widths.push(widthFor(reflected));
-        reflected.amps.push( jNorm(reflected.J) / reflected.Jnorm );
+        recordVertex(reflected);
         reflected.pos.add(reflected.dir.clone().multiplyScalar(1e-6));
 
         // Record the stronger output branch for this splitter element
         try {
-          const tI = Math.pow(jNorm(transmitted.J) / transmitted.Jnorm, 2);
-          const rI = Math.pow(jNorm(reflected.J)   / reflected.Jnorm,   2);
+          const tI = Math.pow(_pathAmp(transmitted), 2);
+          const rI = Math.pow(_pathAmp(reflected), 2);
           const best = (tI >= rI) ? transmitted : reflected;
           const metrics = computeBeamMetrics(best);
           elementLastInfo.set(el.id, beamReadout(best, metrics, {
@@ -642,15 +1332,17 @@ const AMP_CUTOFF = 0.02;
         } catch(e) {}
 
 
-        if((jNorm(transmitted.J) / transmitted.Jnorm) >= AMP_CUTOFF) queue.push(transmitted);
-        if((jNorm(reflected.J)   / reflected.Jnorm)   >= AMP_CUTOFF) queue.push(reflected);
+        const cutoff = isPBS ? LEAK_CUTOFF : AMP_CUTOFF;
+        if(_pathAmp(transmitted) >= cutoff) queue.push(transmitted);
+        if(_pathAmp(reflected)   >= cutoff) queue.push(reflected);
         break;
       }
 
       /* ---------- Unified Mirror (flat/spherical) with dichroic bands ---------- */
       if (el.type === "mirror") {
       const isCurvedMirror = !el.props.flat && Number.isFinite(el.props.R);
-      const nMirror = el.props.n ?? 1.5;
+      // Substrate index follows the material dispersion at this path's wavelength
+      const nMirror = (typeof el.indexAt === "function") ? el.indexAt(getPathLambda(path)) : (el.props.n ?? 1.5);
       const nCurr = path.nMedium ?? 1.0;
       const isInsideMirror = isCurvedMirror && (Math.abs(nCurr - nMirror) < 1e-6);
       const surfaceKind = isCurvedMirror ? (hit.object?.userData?.surfaceKind || null) : 'front';
@@ -676,38 +1368,28 @@ const AMP_CUTOFF = 0.02;
   }
 
   // === Only the front **curved** surface uses refl slider ===
-  if (isCurvedMirror) {
-    // Back and side surfaces: 100% transmissive
-    // Also: front surface hit from *inside* -> no coating, transmit only
-    if (!isFront || isInsideMirror) {
-      refl = 0;
-      T = 1;
-    }
+  // Back surface, and the front surface hit from *inside*, are bare glass:
+  // Fresnel transmission plus a weak ghost reflection instead of the coating
+  const isUncoated = isCurvedMirror && (!isFront || isInsideMirror);
+  if (isUncoated) {
+    refl = 0;
+    T = 1;
   }
   // Flat mirrors keep their original behavior (they use panel normal & refl).
 
-  const cloneBase = () => ({
-    pos: path.pos.clone(), q: path.q.clone(), traveled: path.traveled, lastHit: null,
-    maxLen: path.maxLen, [LAMBDA_KEY]: getPathLambda(path), Jnorm: path.Jnorm, M2: path.M2,
-    beamModel: path.beamModel, rayRadius_m: path.rayRadius_m,
-    pts: path.pts.slice(), dirs: path.dirs.slice(), widths: path.widths.slice(),
-    amps: path.amps.slice(), polSamples: path.polSamples.slice(),
-    polSampleCountdown: path.polSampleCountdown,
-    nMedium: path.nMedium,
-    basisUp: _cloneBasisUp(path)
-  });
-
   let transmitted, reflected;
 
   // ===== Transmitted branch (Snell) =====
     if (T > 0) {
-  transmitted = cloneBase();
+  transmitted = cloneBase(path);
+  let transmittedPol = null;
 
   if (isCurvedMirror) {
     // Use Snell's law through the local spherical surface,
     // but handle total internal reflection when it occurs.
     const n2 = isInsideMirror ? 1.0 : nMirror; // inside->air or air->mirror
     const { dir: newDir, tir } = refractAcrossHitNormal(path.dir, hit, nCurr, n2, el);
+    const nHit = _hitWorldNormal(hit, el);
     transmitted.dir = newDir;
 
     if (tir) {
@@ -716,14 +1398,30 @@ const AMP_CUTOFF = 0.02;
       // No transmission ABCD here because there is no transmitted beam.
     } else {
       transmitted.nMedium = n2;
+      transmitted.medium = isInsideMirror ? null : el;
 
       // Gaussian-beam update at EACH physical surface, with proper n1/n2 and R sign
       if (path.beamModel !== "rays" && typeof el.abcdTransmit === "function") {
-        transmitted.q = el.abcdTransmit(transmitted.q, {
+        _applyAbcdXY(transmitted, nHit, (q, ctx) => el.abcdTransmit(q, { ...ctx, ..._surfaceLocalCtx(hit, ctx.axis) }), {
           surfaceKind: surfaceKind,
           n1: nCurr,   // index on incident side of this surface
-          n2: n2       // index on transmitted side
-        });
+          n2: n2,      // index on transmitted side
+          lambda: getPathLambda(path),
+          cosT: Math.abs(newDir.dot(nHit))
+        }, path);
+      }
+    }
+
+    if (isUncoated) {
+      const fr = _surfaceFresnel(nCurr, n2, Math.min(1, Math.abs(path.dir.dot(nHit))));
+      const substratePol = mapPol(path, J => tir
+        ? _reflectJonesWithBasis(J, path.dir, newDir, nHit, 1, _cloneBasisUp(path), { s: fr.rs, p: fr.rp })
+        : _transmitJonesWithBasis(J, path.dir, newDir, nHit, { s: fr.ts, p: fr.tp }, _cloneBasisUp(path)));
+      transmittedPol = substratePol;
+      if (!tir) {
+        // Only the curved front has power when seen from inside; the back face is plane
+        const ghostQ = isFront ? (q, ctx) => el.abcd(q, { ...ctx, fromInside: true }) : null;
+        spawnGhost(path, hit, el, nHit, fr, ghostQ);
       }
     }
   } else {
@@ -732,24 +1430,27 @@ const AMP_CUTOFF = 0.02;
     transmitted.nMedium = path.nMedium;
   }
 
-  transmitted.basisUp = _projectBasisUp(transmitted.dir, transmitted.basisUp);
   transmitted.lastHit = hit.object;
-  transmitted.J = [
-    path.J[0].mul(Math.sqrt(T)),
-    path.J[1].mul(Math.sqrt(T))
-  ];
-  transmitted.pts.push(transmitted.pos.clone());
-  transmitted.dirs.push(transmitted.dir.clone());
-    transmitted.widths.push(widthFor(transmitted));
-    transmitted.amps.push( jNorm(transmitted.J) / transmitted.Jnorm );
+  if (transmittedPol) {
+    transmitted.J = transmittedPol.J;
+    transmitted.Jb = transmittedPol.Jb;
+    transmitted.basisUp = transmittedPol.basisUp;
+  } else {
+    transmitted.basisUp = _projectBasisUp(transmitted.dir, transmitted.basisUp);
+    mapJ(transmitted, path, J => [
+      J[0].mul(Math.sqrt(T)),
+      J[1].mul(Math.sqrt(T))
+    ]);
+  }
+    recordVertex(transmitted);
     transmitted.pos.add(transmitted.dir.clone().multiplyScalar(1e-6));
-    if ((jNorm(transmitted.J) / transmitted.Jnorm) >= AMP_CUTOFF) queue.push(transmitted);
+    if (_pathAmp(transmitted) >= AMP_CUTOFF) queue.push(transmitted);
   }
 
 
   // ===== Reflected branch =====
   if (refl > 0) {
-    reflected = cloneBase();
+    reflected = cloneBase(path);
     let reflectNormal;
 
     if (isCurvedMirror) {
@@ -765,28 +1466,30 @@ const AMP_CUTOFF = 0.02;
     }
 
     reflected.lastHit = hit.object;
-    if (!el.props.flat && path.beamModel !== "rays") reflected.q = el.abcd(reflected.q);
+    // Curved mirrors focus with Coddington f_t = (R/2)cos(theta), f_s = (R/2)/cos(theta),
+    // using the local radius of curvature where the beam lands on conic / off-axis surfaces
+    if (!el.props.flat && path.beamModel !== "rays") {
+      _applyAbcdXY(reflected, reflectNormal, (q, ctx) => el.abcd(q, { ...ctx, ..._surfaceLocalCtx(hit, ctx.axis) }), {}, path);
+    }
 
-    const reflectedPol = _reflectJonesWithBasis(path.J, path.dir, reflected.dir, reflectNormal, Math.sqrt(refl), _cloneBasisUp(path));
+    const reflectedPol = mapPol(path, J => _reflectJonesWithBasis(J, path.dir, reflected.dir, reflectNormal, Math.sqrt(refl), _cloneBasisUp(path)));
     reflected.J = reflectedPol.J;
+    reflected.Jb = reflectedPol.Jb;
     reflected.basisUp = reflectedPol.basisUp;
-    reflected.pts.push(reflected.pos.clone());
-    reflected.dirs.push(reflected.dir.clone());
-    reflected.widths.push(widthFor(reflected));
-    reflected.amps.push( jNorm(reflected.J) / reflected.Jnorm );
+    recordVertex(reflected);
     reflected.pos.add(reflected.dir.clone().multiplyScalar(1e-6));
-    if ((jNorm(reflected.J) / reflected.Jnorm) >= AMP_CUTOFF) queue.push(reflected);
+    if (_pathAmp(reflected) >= AMP_CUTOFF) queue.push(reflected);
   }
 
   // ===== Record strongest branch (unchanged logic) =====
   try {
     let best = null, bestI = -1;
     if (transmitted) {
-      const It = Math.pow(jNorm(transmitted.J) / transmitted.Jnorm, 2);
+      const It = Math.pow(_pathAmp(transmitted), 2);
       if (It > bestI) { best = transmitted; bestI = It; }
     }
     if (reflected) {
-      const Ir = Math.pow(jNorm(reflected.J) / path.Jnorm, 2);
+      const Ir = Math.pow(_pathAmp(reflected), 2);
       if (Ir > bestI) { best = reflected; bestI = Ir; }
     }
     if (best) {
@@ -801,6 +1504,79 @@ const AMP_CUTOFF = 0.02;
   break;
 }
 
+      /* ---------- Prism (flat faces: refraction, TIR or silvered; caps absorbed) ---------- */
+      if (el.type === "prism") {
+        const face = hit.object?.userData || {};
+        if (face.surfaceKind === "side") {
+          break;
+        }
+
+        const nPrismRaw = el.indexAt(getPathLambda(path));
+        const nPrism = (Number.isFinite(nPrismRaw) && nPrismRaw > 0) ? nPrismRaw : 1.5;
+        const nCurr = path.nMedium ?? 1.0;
+        const isInsidePrism = Math.abs(nCurr - nPrism) < 1e-6;
+        const nHit = _hitWorldNormal(hit, el);
+        const inDir = path.dir.clone();
+
+        let newDir, tir = false, prismPol;
+        if (face.coated) {
+          // Silvered face (penta prism): metal reflection, the beam stays in the glass
+          newDir = reflectAcrossHitNormal(path.dir, hit, el);
+          prismPol = mapPol(path, J => _reflectJonesWithBasis(J, path.dir, newDir, nHit, 1, _cloneBasisUp(path)));
+        } else {
+          const n2 = isInsidePrism ? 1.0 : nPrism;
+          ({ dir: newDir, tir } = refractAcrossHitNormal(path.dir, hit, nCurr, n2, el));
+          const fr = _surfaceFresnel(nCurr, n2, Math.min(1, Math.abs(path.dir.dot(nHit))));
+          if (!tir) {
+            spawnGhost(path, hit, el, nHit, fr);
+            if (path.beamModel !== "rays") {
+              _applyAbcdXY(path, nHit, (q, ctx) => el.abcdTransmit(q, ctx), {
+                n1: nCurr, n2, cosT: Math.abs(newDir.dot(nHit))
+              });
+            }
+          }
+          // Fresnel s/p transmission, or the TIR phase difference between s and p
+          prismPol = mapPol(path, J => tir
+            ? _reflectJonesWithBasis(J, path.dir, newDir, nHit, 1, _cloneBasisUp(path), { s: fr.rs, p: fr.rp })
+            : _transmitJonesWithBasis(J, path.dir, newDir, nHit, { s: fr.ts, p: fr.tp }, _cloneBasisUp(path)));
+          if (!tir) {
+            path.nMedium = n2;
+            path.medium = isInsidePrism ? null : el;
+          }
+        }
+        path.dir.copy(newDir);
+        path.J = prismPol.J;
+        path.Jb = prismPol.Jb;
+        path.basisUp = prismPol.basisUp;
+
+        // Deviation: angle between the beam entering and leaving the prism
+        const entering = !isInsidePrism && !face.coated && !tir;
+        const leaving = isInsidePrism && !face.coated && !tir;
+        if (entering) path.prismEntryDir = inDir;
+        if (leaving) {
+          try {
+            // Ghosts bouncing around inside also leave; the readout keeps the strongest beam
+            const metrics = computeBeamMetrics(path);
+            const prev = elementLastInfo.get(el.id);
+            const dev = path.prismEntryDir
+              ? THREE.MathUtils.radToDeg(path.prismEntryDir.angleTo(path.dir))
+              : NaN;
+            if (!prev || metrics.Irel > prev.Irel) elementLastInfo.set(el.id, beamReadout(path, metrics, {
+              aoi_deg: aoi_deg_hit,
+              incomingDir: incomingDir_hit,
+              Irel: metrics.Irel,
+              deviation_deg: dev
+            }));
+          } catch (e) {}
+          path.prismEntryDir = null;
+        }
+
+        path.lastHit = hit.object;
+        recordVertex(path);
+        path.pos.add(path.dir.clone().multiplyScalar(1e-6));
+        continue;
+      }
+
       /* ---------- Thick Lens (transmissive; side absorbed) ---------- */
       if (el.type === "thickLens") {
         const surfaceKind = hit.object?.userData?.surfaceKind || "front";
@@ -808,7 +1584,8 @@ const AMP_CUTOFF = 0.02;
           break;
         }
 
-        const nLensRaw = Number(el.props.n ?? 1.5);
+        // n(λ) from the lens material, so each spectral sample refracts differently
+        const nLensRaw = (typeof el.indexAt === "function") ? el.indexAt(getPathLambda(path)) : Number(el.props.n ?? 1.5);
         const nLens = (Number.isFinite(nLensRaw) && nLensRaw > 0) ? nLensRaw : 1.5;
         const nCurr = path.nMedium ?? 1.0;
         const isInsideLens = Math.abs(nCurr - nLens) < 1e-6;
@@ -819,19 +1596,56 @@ const AMP_CUTOFF = 0.02;
         const dirSign = (path.dir.dot(lensPlusZ) >= 0) ? 1 : -1;
 
         const { dir: newDir, tir } = refractAcrossHitNormal(path.dir, hit, nCurr, n2, el);
-        path.dir.copy(newDir);
-        path.basisUp = _projectBasisUp(path.dir, _cloneBasisUp(path));
-
+        const nHit = _hitWorldNormal(hit, el);
+        const fr = _surfaceFresnel(nCurr, n2, Math.min(1, Math.abs(path.dir.dot(nHit))));
+        const reflectQ = (typeof el.abcdReflect === "function") ? (q, ctx) => el.abcdReflect(q, ctx) : null;
         if (!tir) {
-          path.nMedium = n2;
-          if (path.beamModel !== "rays" && typeof el.abcdTransmit === "function") {
-            path.q = el.abcdTransmit(path.q, {
+          spawnGhost(path, hit, el, nHit, fr, reflectQ, { surfaceKind, dirSign });
+        }
+        if (path.beamModel !== "rays") {
+          if (!tir && typeof el.abcdTransmit === "function") {
+            // Tilted surfaces refract the tangential and sagittal planes differently
+            _applyAbcdXY(path, nHit, (q, ctx) => el.abcdTransmit(q, ctx), {
               surfaceKind: surfaceKind,
               n1: nCurr,
               n2: n2,
-              dirSign: dirSign
+              dirSign: dirSign,
+              lambda: getPathLambda(path),
+              cosT: Math.abs(newDir.dot(nHit))
             });
+          } else if (tir && reflectQ) {
+            _applyAbcdXY(path, nHit, reflectQ, { surfaceKind, dirSign });
           }
+        }
+        // Real rays: remember where each one enters, and score it against the axis on the way out.
+        // Internal ghosts turn back and leave through the entry face, so they are not counted.
+        if (path.beamModel === "rays" && !tir) {
+          if (!isInsideLens) {
+            const centre = el.mesh.getWorldPosition(new THREE.Vector3());
+            const w = hit.point.clone().sub(centre);
+            const h = w.sub(lensPlusZ.clone().multiplyScalar(w.dot(lensPlusZ))).length();
+            path.lensEntry = { id: el.id, surfaceKind, dirSign, h };
+          } else {
+            const entry = path.lensEntry;
+            if (entry && entry.id === el.id && entry.surfaceKind !== surfaceKind && entry.dirSign === dirSign && entry.h > 0) {
+              collectLensRay(el, path, hit.point, newDir, dirSign);
+            }
+            path.lensEntry = null;
+          }
+        }
+
+        // s/p amplitudes: Brewster windows, polarization-dependent loss and the TIR phase
+        const lensPol = mapPol(path, J => tir
+          ? _reflectJonesWithBasis(J, path.dir, newDir, nHit, 1, _cloneBasisUp(path), { s: fr.rs, p: fr.rp })
+          : _transmitJonesWithBasis(J, path.dir, newDir, nHit, { s: fr.ts, p: fr.tp }, _cloneBasisUp(path)));
+        path.dir.copy(newDir);
+        path.J = lensPol.J;
+        path.Jb = lensPol.Jb;
+        path.basisUp = lensPol.basisUp;
+
+        if (!tir) {
+          path.nMedium = n2;
+          path.medium = isInsideLens ? null : el;
         } else {
           path.nMedium = nCurr;
         }
@@ -846,10 +1660,7 @@ const AMP_CUTOFF = 0.02;
         } catch (e) {}
 
         path.lastHit = hit.object;
-        path.pts.push(path.pos.clone());
-        path.dirs.push(path.dir.clone());
-        path.widths.push(widthFor(path));
-        path.amps.push(jNorm(path.J) / path.Jnorm);
+        recordVertex(path);
         path.pos.add(path.dir.clone().multiplyScalar(1e-6));
         continue;
       }
@@ -861,18 +1672,10 @@ const AMP_CUTOFF = 0.02;
         if (!orders.length) { break; }
 
         const isReflective = (el.props.mode === "reflective");
-        const gain = 1 / Math.sqrt(orders.length);
-
-        const cloneBase = () => ({
-          pos: path.pos.clone(), q: path.q.clone(), traveled: path.traveled, lastHit: null,
-          maxLen: path.maxLen, [LAMBDA_KEY]: getPathLambda(path), Jnorm: path.Jnorm, M2: path.M2,
-          beamModel: path.beamModel, rayRadius_m: path.rayRadius_m,
-          pts: path.pts.slice(), dirs: path.dirs.slice(), widths: path.widths.slice(),
-          amps: path.amps.slice(), polSamples: path.polSamples.slice(),
-          polSampleCountdown: path.polSampleCountdown,
-          nMedium: path.nMedium,
-          basisUp: _cloneBasisUp(path)
-        });
+        const gNormal = _elementWorldNormal(el);
+        const gQuat = el.mesh.getWorldQuaternion(new THREE.Quaternion());
+        const grooves = new THREE.Vector3(0,1,0).applyQuaternion(gQuat);
+        const gVector = new THREE.Vector3(1,0,0).applyQuaternion(gQuat);
 
         let _bestForThisGrating = null;
         for (const o of orders) {
@@ -881,44 +1684,41 @@ const AMP_CUTOFF = 0.02;
           if (el.props.visibleOrders?.[o.m] === false) {
               continue;
           }
-          const branch = cloneBase();
+          const branch = cloneBase(path);
           branch.dir = o.dir.clone();
-          branch.basisUp = _projectBasisUp(branch.dir, branch.basisUp);
           branch.lastHit = hit.object; // Prevent back-face reflection/transmission
-
-          if (isReflective) {
-            // Mirror-like polarization behavior on reflection:
-            // Ex gets a - sign, Ey gets a + sign (same as your mirror block)
-            const phase = 1;
-            branch.J = [
-              path.J[0].mul(gain * phase),
-              path.J[1].mul(gain * (-1 * phase))
-            ];
-          } else {
-            // Transmissive: pass Jones unchanged (just scale amplitude)
-            branch.J = [
-              path.J[0].mul(gain),
-              path.J[1].mul(gain)
-            ];
-          }
-
-          branch.pts.push(branch.pos.clone());
-          branch.dirs.push(branch.dir.clone());
-          branch.widths.push(widthFor(branch));
-          branch.amps.push(jNorm(branch.J) / branch.Jnorm);
+          if (typeof branch.route === "string") branch.route += `:${o.m}`;
+
+          // Order amplitudes split into s (along the grooves) and p (across them).
+          // Reflected orders pick up the metal-mirror sign on s, like the mirror block.
+          const as = Math.sqrt(o.eff.s), ap = Math.sqrt(o.eff.p);
+          const orderPol = mapPol(path, J => isReflective
+            ? _reflectJonesWithBasis(J, path.dir, branch.dir, gNormal, 1, _cloneBasisUp(path), { s: new Complex(-as, 0), p: new Complex(ap, 0), sAxis: grooves })
+            : _transmitJonesWithBasis(J, path.dir, branch.dir, gNormal, { s: new Complex(as, 0), p: new Complex(ap, 0), sAxis: grooves }, _cloneBasisUp(path)));
+          branch.J = orderPol.J;
+          branch.Jb = orderPol.Jb;
+          branch.basisUp = orderPol.basisUp;
+
+          // Tangential (dispersion-plane) axis: A = cosβ/cosα, D = cosα/cosβ; the sagittal q is untouched
+          const aligned = _alignToIncidence(branch, gVector);
+          if (aligned?.snapped_deg) branch.axesSnapped_deg = Math.max(branch.axesSnapped_deg ?? 0, aligned.snapped_deg);
+          const qKey = ((aligned?.tAxis ?? _tangentialAxis(branch.dir, branch.basisUp, gVector)) === "y") ? "qy" : "qx";
+          branch[qKey] = applyABCD(branch[qKey], o.mag, 0, 0, 1 / o.mag);
+
+          recordVertex(branch);
           branch.pos.add(branch.dir.clone().multiplyScalar(1e-6));
 
           // track strongest branch for element readout
           try {
-            const I = Math.pow(jNorm(branch.J) / branch.Jnorm, 2);
+            const I = Math.pow(_pathAmp(branch), 2);
             if(!_bestForThisGrating || I > _bestForThisGrating.Irel){
               const metrics = computeBeamMetrics(branch);
-              _bestForThisGrating = beamReadout(branch, metrics, { Irel: I });
+              _bestForThisGrating = beamReadout(branch, metrics, { Irel: I, anamorphicMag: o.mag });
             }
           } catch(e) {}
 
 
-          if ((jNorm(branch.J) / branch.Jnorm) >= AMP_CUTOFF) queue.push(branch);
+          if (_pathAmp(branch) >= AMP_CUTOFF) queue.push(branch);
         }
         try{
           if(_bestForThisGrating){
@@ -937,6 +1737,9 @@ const AMP_CUTOFF = 0.02;
       if(el.type === "multimeter"){
         const metrics = computeBeamMetrics(path);
         const lambdaNm = getPathLambda(path) * 1e9;
+        collectDetectorField(el, path);
+        collectPulseSample(el, path);
+        collectSpotRay(el, path, hit.point);
 
         meterLastInfo.set(el.id, beamReadout(path, metrics, {
           aoi_deg: aoi_deg_hit,
@@ -947,25 +1750,22 @@ const AMP_CUTOFF = 0.02;
         _meterUpdated = true;
         // continue propagation straight through (no change to q or J)
         path.lastHit = hit.object;
-        path.pts.push(path.pos.clone());
-        path.dirs.push(path.dir.clone());
-        path.widths.push(widthFor(path));
-        path.amps.push( jNorm(path.J) / path.Jnorm );
+        recordVertex(path);
         path.pos.add(path.dir.clone().multiplyScalar(1e-6));
         continue; // next step
       }
       
       /* ---------- Lens (thin): symmetric 2D angular kick + q-update ---------- */
       if (el.type === "lens") {
-        // Update Gaussian envelope (keep your thin-lens ABCD)
-        if (path.beamModel !== "rays") {
-          path.q = el.abcd(path.q);
-        }
-
         // World-space orthonormal frame tied to the lens: (u,v) in-plane, n = normal
         const qW = el.mesh.getWorldQuaternion(new THREE.Quaternion());
         const n  = new THREE.Vector3(0,0,1).applyQuaternion(qW).normalize();
 
+        // Update Gaussian envelope (thin-lens ABCD, Coddington-corrected when tilted)
+        if (path.beamModel !== "rays") {
+          _applyAbcdXY(path, n, (q, ctx) => el.abcd(q, ctx));
+        }
+
         // Pick an in-plane "seed" that isn't parallel to n, then Gram-Schmidt it
         let uSeed = new THREE.Vector3(0,1,0);                       // prefer world +Y
         if (Math.abs(uSeed.dot(n)) > 0.999) uSeed.set(1,0,0);       // fallback if near-parallel
@@ -1011,10 +1811,7 @@ const AMP_CUTOFF = 0.02;
 
         // Record + tiny step to avoid immediately re-hitting the same plane
         path.lastHit = hit.object;
-        path.pts.push(path.pos.clone());
-        path.dirs.push(path.dir.clone());
-        path.widths.push(widthFor(path));
-        path.amps.push(jNorm(path.J) / path.Jnorm);
+        recordVertex(path);
         path.pos.add(path.dir.clone().multiplyScalar(1e-6));
         continue; // skip the generic block
       }
@@ -1022,9 +1819,22 @@ const AMP_CUTOFF = 0.02;
 
       /* ---------- Other elements ---------- */
       if (path.beamModel !== "rays") {
-        path.q = el.abcd(path.q);
+        path.qx = el.abcd(path.qx);
+        path.qy = el.abcd(path.qy);
+      }
+      const polCtx = { dir: path.dir.clone(), basisUp: _cloneBasisUp(path), lambda: getPathLambda(path) };
+      if (el.mueller) {
+        // Mueller-only elements (depolarizers) act on the Stokes vector; the result is
+        // split back into J and its partner, J keeping its phase for interference.
+        const S = applyMueller(el.mueller(polCtx), _pathStokes(path));
+        const [Ja, Jb] = jonesPairFromStokes(S);
+        const ref = (Math.hypot(path.J[0].re, path.J[0].im) >= Math.hypot(path.J[1].re, path.J[1].im)) ? path.J[0] : path.J[1];
+        const ph = (Math.hypot(ref.re, ref.im) > 0) ? Complex.expi(Math.atan2(ref.im, ref.re)) : new Complex(1, 0);
+        path.J = [Ja[0].mul(ph), Ja[1].mul(ph)];
+        path.Jb = (jNorm(Jb) > 1e-9 * path.Jnorm) ? Jb : null;
+      } else if (el.jones) {
+        mapJ(path, path, J => el.jones(J, polCtx));
       }
-      path.J = (el.jones ? el.jones(path.J, { dir: path.dir.clone(), basisUp: _cloneBasisUp(path) }) : path.J);
 
       // Record output beam state for this element
       try {
@@ -1037,35 +1847,164 @@ const AMP_CUTOFF = 0.02;
       } catch(e) {}
 
       path.lastHit = null;
-      path.pts.push(path.pos.clone());
-      path.dirs.push(path.dir.clone());
-      path.widths.push(widthFor(path));
-      path.amps.push( jNorm(path.J) / path.Jnorm );
+      recordVertex(path);
     }
 
     completedPaths.push(path);
   }
 
-  // Draw ribbons
-  completedPaths.forEach(p=>{
-    const nm = getPathLambda(p) * 1e9;
-    const colorHex = wavelengthNmToHex(nm);
-    const mesh = buildRibbon(p.pts, p.dirs, p.widths, p.amps, params.beamWidthScale, colorHex);
-    if(mesh){ ribbonMeshes.push(mesh); beamGroup.add(mesh); }
-    if(params.showPolarization){
-      for (const s of p.polSamples){
-        if (!pol.addMarker(polGroup, s.p, s.dir, s.j, { phase: s.phase, wavelength: s.wavelength, basisUp: s.basisUp })) break;
+  const ribbons = completedPaths.map(p => ({
+    pts: p.pts, dirs: p.dirs, widths: p.widths, widthsY: p.widthsY, ups: p.ups, amps: p.amps,
+    wavelength_nm: getPathLambda(p) * 1e9,
+    colorHex: wavelengthNmToHex(getPathLambda(p) * 1e9),
+    polSamples: params.showPolarization ? p.polSamples : []
+  }));
+
+  // Declared resonators draw their round-trip eigenmode between the mirrors
+  cavityLastInfo?.clear();
+  for (const cav of cavities) {
+    const mirrors = cav.mirrorIds.map(id => elements.find(e => e.id === id));
+    if (mirrors.some(m => !m)) continue;
+    const analysis = analyzeCavity(mirrors, { type: cav.type, lambda: Number(cav.wavelength_nm) * 1e-9 });
+    if (!analysis) continue;
+    cavityLastInfo?.set(cav.id, analysis);
+
+    const mode = sampleCavityMode(analysis);
+    if (!mode) continue;
+    ribbons.push({
+      pts: mode.pts, dirs: mode.dirs, widths: mode.widthsX, widthsY: mode.widthsY,
+      ups: mode.pts.map(() => WORLD_UP.clone()), amps: mode.pts.map(() => 1),
+      wavelength_nm: Number(cav.wavelength_nm), colorHex: wavelengthNmToHex(Number(cav.wavelength_nm)),
+      polSamples: [], cavityId: cav.id
+    });
+  }
+
+  // Interference at detectors: merge the coherent sum and the total load into each meter's readout
+  for (const [id, info] of meterLastInfo) {
+    const groups = detectorFields.get(id);
+    // Meters nothing reached this pass keep their last beam but drop stale fringes
+    const sum = groups ? summarizeDetectorFields(groups) : { Icoh: 0, Iincoh: 0, visibility: 0, beams: 0 };
+    const load = incidentLoad.get(id);
+    const S = (groups && info.outgoingDir) ? detectorStokes(groups, info.outgoingDir, info.basisUp) : null;
+    const stokes = S ? {
+      S0: S[0], S1: S[1], S2: S[2], S3: S[3],
+      dop: (S[0] > 0) ? Math.hypot(S[1], S[2], S[3]) / S[0] : NaN
+    } : {};
+    // Spot diagram along the route carrying the most ray power to this meter, one source at a time
+    let spotOut = { spot: null, spotRays: 0, spot_cx_um: NaN, spot_cy_um: NaN, spot_rms_um: NaN, spot_geo_um: NaN, spot_airy_um: NaN, spot_NA: NaN };
+    let spotW = 0;
+    for (const routes of detectorSpots.get(id)?.values() ?? []) {
+      for (const rays of routes.values()) {
+        const w = rays.reduce((a, r) => a + r.w, 0);
+        const summary = (w > spotW) ? _summarizeSpot(rays) : null;
+        if (summary) { spotOut = summary; spotW = w; }
       }
     }
-  });
+    // Output pulse along the strongest route of any pulsed source reaching this meter
+    let pulseOut = { pulse_in_fs: NaN, pulse_out_fs: NaN, gd_ps: NaN, gdd_fs2: NaN, tod_fs3: NaN };
+    let pulseW = 0;
+    for (const [pulse, routes] of detectorPulses.get(id) ?? []) {
+      for (const arrivals of routes.values()) {
+        const w = arrivals.reduce((a, smp) => a + smp.w, 0);
+        const summary = (w > pulseW) ? _summarizePulse(pulse, arrivals) : null;
+        if (summary) { pulseOut = summary; pulseW = w; }
+      }
+    }
+    meterLastInfo.set(id, {
+      ...info,
+      ...stokes,
+      ...pulseOut,
+      ...spotOut,
+      I_coherent: sum.Icoh,
+      I_incoherent: sum.Iincoh,
+      visibility: sum.visibility,
+      beamsSummed: sum.beams,
+      total_power_W: load?.power_W ?? 0,
+      total_peakIrr_W_cm2: load ? load.gauss_W_cm2 + load.ray_W_cm2 : 0,
+      total_fluence_J_cm2: load?.fluence_J_cm2 ?? 0
+    });
+  }
+
+  // Spherical aberration readout: the wavelength with the most rays through each lens
+  for (const [id, byLambda] of lensRays) {
+    const info = elementLastInfo.get(id);
+    if (!info) continue;
+    let best = null;
+    for (const rays of byLambda.values()) if (!best || rays.length > best.length) best = rays;
+    const summary = _summarizeRayFocus(best);
+    if (summary) Object.assign(info, summary);
+  }
+
+  // Damage check: incident peak irradiance against each element's optional threshold
+  damageLastInfo?.clear();
+  for (const el of elements) {
+    const load = incidentLoad.get(el.id);
+    if (!load) continue;
+    const peak = load.gauss_W_cm2 + load.ray_W_cm2;
+    const threshold = Number(el.props.damage_W_cm2);
+    damageLastInfo?.set(el.id, {
+      power_W: load.power_W,
+      peakIrr_W_cm2: peak,
+      fluence_J_cm2: load.fluence_J_cm2,
+      threshold_W_cm2: threshold > 0 ? threshold : NaN,
+      exceeded: threshold > 0 && peak > threshold
+    });
+  }
+
+  // Clipping at clear apertures: worst-case enclosed fraction and total power lost per element
+  apertureLastInfo?.clear();
+  for (const [id, rec] of apertureLoss) {
+    apertureLastInfo?.set(id, {
+      transmitted: rec.minFraction,
+      lost_W: rec.lost_W,
+      warning: (1 - rec.minFraction) > CLIP_WARN
+    });
+  }
+
+  return { ribbons, meterUpdated: _meterUpdated };
+}
+
+/**
+ * Replace the beam ribbons and polarization markers with those of a trace result.
+ * @param {{ribbons: object[]}} trace - Result of traceScene (or its copy from the worker).
+ * @param {object} context - beamGroup, polGroup, ribbonMeshes and params.
+ */
+export function drawTrace(trace, { beamGroup, polGroup, ribbonMeshes, params }) {
+  // clear old ribbons & pol markers
+  ribbonMeshes.forEach(m => { beamGroup.remove(m); m.geometry.dispose(); m.material.dispose(); });
+  ribbonMeshes.length = 0; // Clear the array in place
+  pol.beginFrame(polGroup);
+
+  for (const r of trace.ribbons) {
+    const mesh = buildRibbon(r.pts, r.dirs, r.widths, r.amps, params.beamWidthScale, r.colorHex, 16, { widthsY: r.widthsY, ups: r.ups });
+    if (mesh) { ribbonMeshes.push(mesh); beamGroup.add(mesh); }
+    if (!params.showPolarization) continue;
+    for (const s of r.polSamples) {
+      if (!pol.addMarker(polGroup, s.p, s.dir, s.j, { phase: s.phase, wavelength: s.wavelength, basisUp: s.basisUp })) break;
+    }
+  }
+}
+
+/**
+ * Trace the live scene on the main thread and redraw it.
+ * @param {object} context - Everything traceScene and drawTrace need, plus tcontrols,
+ *   addSource, removeSourceByGroup and refreshAfterRecompute.
+ */
+export function recompute(context) {
+  const { sources, tcontrols, addSource, removeSourceByGroup, refreshAfterRecompute } = context;
+
+  // If no sources, add a temporary one
+  const implicitSource = sources.length ? null : addSource({ position: new THREE.Vector3(0.0, 0.0, -0.0004), yawRad: 0 });
+  const trace = traceScene({ ...context, sources: implicitSource ? [implicitSource] : sources });
+  drawTrace(trace, context);
 
   // If a meter got a fresh reading and it's selected, refresh its panel
-  if (_meterUpdated && tcontrols.object && tcontrols.object.userData.element?.type === 'multimeter') {
+  if (trace.meterUpdated && tcontrols.object && tcontrols.object.userData.element?.type === 'multimeter') {
     refreshAfterRecompute();
   }
 
-  if(removeImplicitAfter){
-    removeSourceByGroup(removeImplicitAfter.group);
+  if (implicitSource) {
+    removeSourceByGroup(implicitSource.group);
     tcontrols.detach();
   }
 }
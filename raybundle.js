@@ -0,0 +1,143 @@
+/*!
+ * BeamBench Copyright (C) 2025 VisuPhy
+ * SPDX-License-Identifier: GPL-3.0-or-later
+ */
+
+// raybundle.js — pupil sampling and angular emission models for rays-mode sources
+
+export const RAY_PATTERNS = ["Grid", "Hexapolar", "Random", "Gaussian"];
+export const RAY_EMISSIONS = ["Collimated", "Point Source", "Lambertian"];
+// Widest emission cone a source may have (numerical aperture)
+export const MAX_RAY_NA = 0.99;
+
+// Deterministic PRNG (mulberry32), so random bundles do not flicker between recomputes
+function _rng(seed){
+  let a = (seed >>> 0) || 1;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Square grid of pitch `step` clipped to a disk of radius `r` (the original rays-mode layout)
+function _gridPoints(r, step){
+  const out = [];
+  for (let y = -r; y <= r + 1e-12; y += step) {
+    for (let x = -r; x <= r + 1e-12; x += step) {
+      if ((x * x + y * y) <= (r * r + 1e-15)) out.push({ x, y });
+    }
+  }
+  return out.length ? out : [{ x: 0, y: 0 }];
+}
+
+// Centre ray plus `rings` rings of 6k rays each, equally spaced in radius
+function _hexapolarPoints(r, rings){
+  const out = [{ x: 0, y: 0 }];
+  for (let k = 1; k <= rings; k++) {
+    const rk = r * k / rings;
+    for (let i = 0; i < 6 * k; i++) {
+      const a = 2 * Math.PI * i / (6 * k);
+      out.push({ x: rk * Math.cos(a), y: rk * Math.sin(a) });
+    }
+  }
+  return out;
+}
+
+// Every (len/n)-th entry, so a thinned bundle still spans the whole list
+function _subsample(list, n){
+  if (list.length <= n) return list;
+  const step = list.length / n;
+  const out = [];
+  for (let i = 0; i < n; i++) out.push(list[Math.floor(i * step)]);
+  return out;
+}
+
+/**
+ * Sample a disk of radius `r` with points roughly `step` apart.
+ * @param {string} pattern - One of RAY_PATTERNS. "Gaussian" is hexapolar with weights
+ *   exp(-2ρ²/r²), i.e. a Gaussian profile whose 1/e² radius is the disk edge.
+ * @param {number} r - Disk radius (any unit; points come back in the same unit).
+ * @param {number} step - Grid pitch; hexapolar uses round(r/step) rings and random draws
+ *   as many points as the grid would hold.
+ * @param {number} [seed=1] - Seed for "Random".
+ * @returns {{x:number, y:number, w:number}[]}
+ */
+export function samplePupil(pattern, r, step, seed = 1){
+  if (!(r > 0)) return [{ x: 0, y: 0, w: 1 }];
+  const pitch = Math.max(r * 1e-3, Number(step) || r);
+  const rings = Math.round(r / pitch);
+  const uniform = (pts) => pts.map(p => ({ ...p, w: 1 }));
+  switch (pattern) {
+    case "Hexapolar":
+      return uniform(_hexapolarPoints(r, rings));
+    case "Gaussian":
+      return _hexapolarPoints(r, rings).map(p => ({ ...p, w: Math.exp(-2 * (p.x * p.x + p.y * p.y) / (r * r)) }));
+    case "Random": {
+      const rand = _rng(seed);
+      const count = _gridPoints(r, pitch).length;
+      const out = [];
+      for (let i = 0; i < count; i++) {
+        const rho = r * Math.sqrt(rand()), a = 2 * Math.PI * rand();
+        out.push({ x: rho * Math.cos(a), y: rho * Math.sin(a), w: 1 });
+      }
+      return out;
+    }
+    default:
+      return uniform(_gridPoints(r, pitch));
+  }
+}
+
+/**
+ * Rays launched by a rays-mode source, in the source frame.
+ * - Collimated: the aperture (radius, spacing) is sampled; all rays run along the axis.
+ * - Point Source: one emitting point; directions fill a cone of numerical aperture NA with
+ *   isotropic radiant intensity (weight 1/cosθ in direction-sine space).
+ * - Lambertian: every aperture point emits into the cone with radiance constant in angle,
+ *   which is uniform in direction-sine space (intensity ∝ cosθ).
+ * Angular sampling uses the same pattern with `rays_angle_rings` rings across the cone.
+ * @param {object} props - Source props (rays_* fields).
+ * @param {number} [seed=1]
+ * @param {number} [maxRays=Infinity] - Cap on the bundle size. Positions and cone directions are
+ *   thinned separately, so every kept position still emits across the whole cone.
+ * @returns {{x:number, y:number, tx:number, ty:number, w:number, px:number, py:number}[]}
+ *   Offsets x/y (m), direction sines tx/ty along the source x/y axes, relative weight w,
+ *   and the pupil coordinate px/py used for ray fans (aperture for collimated bundles,
+ *   cone for the others).
+ */
+export function rayBundle(props, seed = 1, maxRays = Infinity){
+  const pattern = RAY_PATTERNS.includes(props.rays_pattern) ? props.rays_pattern : "Grid";
+  const emission = RAY_EMISSIONS.includes(props.rays_emission) ? props.rays_emission : "Collimated";
+  const R = Math.max(0, Number(props.rays_aperture_radius_mm ?? 1.0)) * 1e-3;
+  const s = Math.max(1, Number(props.rays_spacing_um ?? 600)) * 1e-6;
+  const NA = Math.min(MAX_RAY_NA, Math.max(0, Number(props.rays_NA ?? 0.1)));
+  const angleRings = Math.max(1, Math.round(Number(props.rays_angle_rings ?? 4)));
+
+  const cap = Math.max(1, Math.floor(maxRays));
+  let positions = (emission === "Point Source") ? [{ x: 0, y: 0, w: 1 }] : samplePupil(pattern, R, s, seed);
+  if (emission === "Collimated") {
+    return _subsample(positions, cap).map(p => ({ ...p, tx: 0, ty: 0, px: (R > 0) ? p.x / R : 0, py: (R > 0) ? p.y / R : 0 }));
+  }
+
+  let cone = samplePupil(pattern, NA, NA / angleRings, seed + 1);
+  if (positions.length * cone.length > cap) {
+    // Shrink both lists by the same factor, then fill the cap with as many cone directions as fit
+    const f = Math.sqrt(cap / (positions.length * cone.length));
+    positions = _subsample(positions, Math.max(1, Math.floor(positions.length * f)));
+    cone = _subsample(cone, Math.max(1, Math.floor(cap / positions.length)));
+  }
+  const out = [];
+  for (const p of positions) {
+    for (const c of cone) {
+      const cosT = Math.sqrt(Math.max(1e-12, 1 - c.x * c.x - c.y * c.y));
+      const wAngle = (emission === "Point Source") ? 1 / cosT : 1;
+      out.push({
+        x: p.x, y: p.y, tx: c.x, ty: c.y, w: p.w * c.w * wAngle,
+        px: (NA > 0) ? c.x / NA : 0, py: (NA > 0) ? c.y / NA : 0
+      });
+    }
+  }
+  return out;
+}
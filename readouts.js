@@ -0,0 +1,108 @@
+/*!
+ * BeamBench Copyright (C) 2025 VisuPhy
+ * SPDX-License-Identifier: GPL-3.0-or-later
+ */
+
+// readouts.js — rows of the "Output Beam Characteristics" panel, shared with the command line
+
+/**
+ * Rows the "Output Beam Characteristics" panel shows for an element's last readout.
+ * @param {string} type - Element type ("multimeter", "grating", ...).
+ * @param {object} info - The element's entry in elementLastInfo (or meterLastInfo for detectors).
+ * @returns {Array<[string, string]>} [name, formatted value] pairs in display order.
+ */
+export function outputBeamRows(type, info) {
+  const rows = [];
+  if (!info) return rows;
+  const mk = (name, val) => rows.push([name, val]);
+
+  // Astigmatic beams show "x / y" pairs; round beams keep a single value
+  // (a collimated axis reads "—", so a pair may mix a number and a dash)
+  const mkXY = (name, x, y, digits) => {
+    const fmt = (v) => isFinite(v) ? v.toFixed(digits) : "—";
+    const same = (y === undefined) || (x === y) || Number.isNaN(y) ||
+      (isFinite(x) && isFinite(y) && Math.abs(x - y) <= 1e-6 * Math.max(1, Math.abs(x)));
+    if (same) { mk(name, fmt(x)); return; }
+    mk(name.replace(" (", " x / y ("), `${fmt(x)} / ${fmt(y)}`);
+  };
+
+  // Special display for Multimeter
+  if (type === 'multimeter') {
+    mkXY("Beam Radius w (µm)", info.w_x_um ?? info.w_um, info.w_y_um, 3);
+    mkXY("Radius of Curvature (mm)", info.R_x_mm ?? info.R_mm, info.R_y_mm, 2);
+    mk("Wavelength (nm)", (isFinite(info.wavelength_nm) ? info.wavelength_nm.toFixed(2) : "—"));
+    mk("Relative Intensity", (isFinite(info.Irel) ? info.Irel.toFixed(3) : "—"));
+    mk("Total Power (mW)", isFinite(info.total_power_W) ? (info.total_power_W * 1e3).toPrecision(4) : "—");
+    mk("Peak Irradiance (W/cm²)", isFinite(info.total_peakIrr_W_cm2) ? info.total_peakIrr_W_cm2.toPrecision(4) : "—");
+    if (info.total_fluence_J_cm2 > 0) mk("Peak Fluence (J/cm²)", info.total_fluence_J_cm2.toPrecision(4));
+    if (isFinite(info.pulse_out_fs)) {
+      // Pulsed sources: net spectral phase of the strongest pulse reaching the meter
+      const chirp = (Math.abs(info.gdd_fs2) < 1) ? "transform-limited" : (info.gdd_fs2 > 0 ? "up-chirped" : "down-chirped");
+      mk("Pulse Duration (fs)", `${info.pulse_out_fs.toFixed(1)} (in ${info.pulse_in_fs.toFixed(1)})`);
+      mk("Chirp GDD (fs²)", `${info.gdd_fs2.toFixed(1)} (${chirp})`);
+      mk("TOD (fs³)", isFinite(info.tod_fs3) ? info.tod_fs3.toFixed(0) : "—");
+      mk("Group Delay (ps)", isFinite(info.gd_ps) ? info.gd_ps.toFixed(4) : "—");
+    }
+    if (info.spotRays > 0) {
+      // Rays-mode sources: where the traced rays cross the meter plane
+      mk("Spot Rays", String(info.spotRays));
+      mk("Spot RMS / GEO Radius (µm)", `${info.spot_rms_um.toFixed(3)} / ${info.spot_geo_um.toFixed(3)}`);
+      mk("Spot Centroid x / y (µm)", `${info.spot_cx_um.toFixed(2)} / ${info.spot_cy_um.toFixed(2)}`);
+      mk("Airy Radius (µm)", isFinite(info.spot_airy_um) ? `${info.spot_airy_um.toFixed(3)} (NA ${info.spot_NA.toFixed(4)})` : "—");
+    }
+    if (info.beamsSummed > 1) {
+      mk("Interference Intensity", info.I_coherent.toFixed(4));
+      mk("Incoherent Sum", info.I_incoherent.toFixed(4));
+      mk("Fringe Visibility", info.visibility.toFixed(3));
+      mk("Beams Summed", String(info.beamsSummed));
+    }
+  } else {
+    // Standard display for all other elements
+    mk("Relative Intensity", (isFinite(info.Irel) ? info.Irel.toFixed(3) : "—"));
+    mkXY("Waist w₀ (µm)", info.w0_x_um ?? info.w0_um, info.w0_y_um, 3);
+    mkXY("Distance to Waist (mm)", info.z_to_waist_x_mm ?? info.z_to_waist_mm, info.z_to_waist_y_mm, 2);
+    mkXY("Rayleigh zR (mm)", info.zR_x_mm ?? info.zR_mm, info.zR_y_mm, 2);
+    if (type === 'prism') {
+      mk("Deviation (deg)", isFinite(info.deviation_deg) ? info.deviation_deg.toFixed(3) : "—");
+    }
+    if (type === 'thickLens' && isFinite(info.longAberration_mm)) {
+      // Ray-mode sources only: foci measured along the axis from the exit vertex
+      mk("Paraxial Focus (mm)", info.paraxialFocus_mm.toFixed(3));
+      mk("Marginal Focus (mm)", info.marginalFocus_mm.toFixed(3));
+      mk("Long. Aberration (mm)", info.longAberration_mm.toFixed(4));
+      mk("Marginal NA", info.marginalNA.toFixed(4));
+    }
+    if (type === 'grating') {
+      // Anamorphic output of the strongest order
+      mkXY("Beam Radius w (µm)", info.w_x_um ?? info.w_um, info.w_y_um, 3);
+      const wx = info.w_x_um ?? info.w_um, wy = info.w_y_um ?? wx;
+      mk("Beam Ellipticity (w_min/w_max)", (wx > 0 && wy > 0) ? (Math.min(wx, wy) / Math.max(wx, wy)).toFixed(4) : "—");
+      mk("Anamorphic Mag. cosβ/cosα", isFinite(info.anamorphicMag) ? info.anamorphicMag.toFixed(4) : "—");
+    }
+  }
+
+  // Path bookkeeping from the source (common to all)
+  mk("Geometric Length (mm)", isFinite(info.geom_mm) ? info.geom_mm.toFixed(3) : "—");
+  mk("Optical Path n·L (mm)", isFinite(info.opl_mm) ? info.opl_mm.toFixed(3) : "—");
+  mk("Gouy Phase (deg)", isFinite(info.gouy_deg) ? info.gouy_deg.toFixed(2) : "—");
+  if (info.axesSnapped_deg > 0.5) {
+    // An astigmatic beam met a compound-angle fold: its x/y axes cannot follow the plane of
+    // incidence, so the fold was applied about the nearest axis
+    mk("Astigmatic Axes Snapped (deg)", info.axesSnapped_deg.toFixed(1));
+  }
+
+  // Polarization angles (common to all)
+  const psi = info.psi_deg ?? info.psiDeg;
+  const chi = info.chi_deg ?? info.chiDeg;
+  mk("Polarization Ψ (deg)", isFinite(psi) ? psi.toFixed(2) : "—");
+  mk("Ellipticity χ (deg)", isFinite(chi) ? chi.toFixed(2) : "—");
+  if (type === 'multimeter') {
+    const st = [info.S0, info.S1, info.S2, info.S3];
+    mk("Stokes S0 / S1 / S2 / S3", st.every(isFinite) ? st.map(v => v.toFixed(3)).join(" / ") : "—");
+    mk("Degree of Polarization", isFinite(info.dop) ? info.dop.toFixed(3) : "—");
+  } else if (info.dop < 0.999) {
+    mk("Degree of Polarization", info.dop.toFixed(3));
+  }
+
+  return rows;
+}
@@ -4,36 +4,50 @@
  */
 
 // ribbon.js — gaussian beam ribbon mesh
-import * as THREE from 'three';
+import THREE from './three-import.js?v=1.0.15';
+import { buildTransverseBasis } from './beam-frame.js?v=1.0.15';
 
-// Build a colored, cylindrical ribbon from centerline samples
-export function buildRibbon(points, dirs, widths, amps, beamWidthScale=120, baseColor=0x58a6ff, radialSegments=16){
+// Build a colored, cylindrical ribbon from centerline samples.
+// `widths` are the horizontal radii; options.widthsY (vertical radii) and
+// options.ups (per-sample basisUp) turn the cross-sections into ellipses.
+export function buildRibbon(points, dirs, widths, amps, beamWidthScale=120, baseColor=0x58a6ff, radialSegments=16, options={}){
   if(points.length<2) return null;
 
   const scale = beamWidthScale;
+  const widthsY = options.widthsY || widths;
+  const ups = options.ups || null;
   
-  // Pre-calculate all the circular cross-section vertices (rings)
+  // Pre-calculate all the elliptical cross-section vertices (rings)
   const rings = [];
   for(let i=0; i<points.length; i++){
     const currentRing = [];
     const p = points[i];
     const d = dirs[i].clone().normalize();
-    const radius = Math.max(1e-6, widths[i]) * scale;
+    const radiusX = Math.max(1e-6, widths[i]) * scale;
+    const radiusY = Math.max(1e-6, widthsY[i] ?? widths[i]) * scale;
 
     // Create a stable orthonormal basis (local coordinate system)
-    // u is the "right" vector, kept on the XZ plane for stability.
-    const u = new THREE.Vector3(-d.z, 0, d.x).normalize();
-    // v is the "up" vector, orthogonal to both direction and u.
-    const v = d.clone().cross(u).normalize();
+    // u is the "right" vector, v the "up" vector, both orthogonal to the direction.
+    let u, v;
+    if (ups?.[i]) {
+      // Follow the beam's polarization frame so x/y radii stay on their Jones axes
+      const basis = buildTransverseBasis(d, ups[i]);
+      u = basis.v;
+      v = basis.u;
+    } else {
+      // u kept on the XZ plane for stability.
+      u = new THREE.Vector3(-d.z, 0, d.x).normalize();
+      v = d.clone().cross(u).normalize();
+    }
 
-    // Generate vertices for the circular ring
+    // Generate vertices for the elliptical ring
     for(let j=0; j<radialSegments; j++){
       const angle = (j / radialSegments) * 2 * Math.PI;
       const cosAngle = Math.cos(angle);
       const sinAngle = Math.sin(angle);
 
-      const offset = u.clone().multiplyScalar(cosAngle).add(v.clone().multiplyScalar(sinAngle));
-      const vertex = p.clone().add(offset.multiplyScalar(radius));
+      const offset = u.clone().multiplyScalar(cosAngle * radiusX).add(v.clone().multiplyScalar(sinAngle * radiusY));
+      const vertex = p.clone().add(offset);
       currentRing.push(vertex);
     }
     rings.push(currentRing);
@@ -0,0 +1,218 @@
+/*!
+ * BeamBench Copyright (C) 2025 VisuPhy
+ * SPDX-License-Identifier: GPL-3.0-or-later
+ */
+
+// snapshot.js — plain-data copies of the bench, rebuilt into traceable scenes off the main thread
+import THREE from './three-import.js?v=1.0.15';
+import { Complex } from './optics.js?v=1.0.15';
+import {
+  makeLens, makeThickLens, makePrism, makeMirror, makePolarizer, makeWaveplate, makeFaraday,
+  makeDepolarizer, makeJonesElement, makeBeamSplitter, makeBeamBlock, makeGrating, makeMultimeter,
+  refreshMirrorVisual, refreshThickLensVisual, refreshPrismVisual, copySharedProps, clampToPlaneXZ
+} from './elements.js?v=1.0.15';
+import { syncSourceW0ZR, defaultSourceProps } from './sources.js?v=1.0.15';
+import { traceScene } from './propagation.js?v=1.0.15';
+
+const ELEMENT_MAKERS = {
+  'lens': makeLens, 'thickLens': makeThickLens, 'prism': makePrism, 'mirror': makeMirror, 'polarizer': makePolarizer,
+  'waveplate': makeWaveplate, 'faraday': makeFaraday, 'depolarizer': makeDepolarizer,
+  'jonesElement': makeJonesElement, 'beamSplitter': makeBeamSplitter,
+  'beamBlock': makeBeamBlock, 'grating': makeGrating, 'multimeter': makeMultimeter
+};
+
+// Readout maps a trace fills, by their name in main.js
+export const INFO_MAPS = [
+  "gratingLastInfo", "meterLastInfo", "elementLastInfo",
+  "cavityLastInfo", "damageLastInfo", "apertureLastInfo"
+];
+
+const _copy = (v) => JSON.parse(JSON.stringify(v));
+
+/**
+ * Capture what the tracer needs from the live bench. The layout is the one captureState in
+ * state.js saves, plus the ids that readouts are keyed by and the tracing params.
+ * @param {object} bench - sources, elements, cavities and params as held by main.js.
+ * @returns {object} Structured-clone-safe snapshot.
+ */
+export function snapshotScene({ sources, elements, cavities = [], params }) {
+  return {
+    params: {
+      maxSegments: params.maxSegments,
+      beamWidthScale: params.beamWidthScale,
+      ghostThreshold: params.ghostThreshold,
+      showPolarization: params.showPolarization
+    },
+    sources: sources.map(src => ({
+      id: src.group.userData.element?.id,
+      props: _copy(src.props),
+      lastEdited: src.lastEdited,
+      position: src.group.position.toArray(),
+      quaternion: src.group.quaternion.toArray(),
+      scale: src.group.scale.toArray()
+    })),
+    elements: elements.map(el => ({
+      id: el.id,
+      type: el.type,
+      props: _copy(el.props),
+      position: el.mesh.position.toArray(),
+      quaternion: el.mesh.quaternion.toArray(),
+      scale: el.mesh.scale.toArray()
+    })),
+    cavities: cavities.map(cav => ({
+      id: cav.id, type: cav.type, wavelength_nm: cav.wavelength_nm, mirrorIds: [...cav.mirrorIds]
+    }))
+  };
+}
+
+function _placeObject(obj, state) {
+  obj.position.fromArray(state.position ?? [0, 0, 0]);
+  if (state.quaternion) obj.quaternion.fromArray(state.quaternion);
+  if (state.scale) obj.scale.fromArray(state.scale);
+}
+
+// Sources only need a transform, props and an id to be traced
+function _buildSource(sState, fallbackId) {
+  const group = new THREE.Group();
+  group.userData.element = { type: 'source', id: sState.id ?? fallbackId };
+  _placeObject(group, sState);
+  const src = { group, props: { ...defaultSourceProps(), ...sState.props }, lastEdited: sState.lastEdited ?? 'w0' };
+  syncSourceW0ZR(src);
+  group.updateMatrixWorld(true);
+  return src;
+}
+
+function _buildElement(eState) {
+  const maker = ELEMENT_MAKERS[eState.type];
+  if (!maker) throw new Error(`Unknown element type "${eState.type}"`);
+  const el = copySharedProps(maker(eState.props), eState.props);
+  // UI edits write straight into props, so the saved props are the element's whole state
+  Object.assign(el.props, eState.props);
+  _placeObject(el.mesh, eState);
+  if (el.type === 'mirror') refreshMirrorVisual(el);
+  if (el.type === 'thickLens') refreshThickLensVisual(el);
+  if (el.type === 'prism') refreshPrismVisual(el);
+  return el;
+}
+
+/**
+ * Rebuild a snapshot (or a setup saved by captureState) into sources, elements and cavities
+ * that traceScene can run on. Surface meshes are regenerated from props and scale by the
+ * same refresh functions the page uses, so the tracer hits the geometry the user sees.
+ * @param {object} snapshot
+ * @param {Map} [reuse] - Element cache keyed by id; elements whose type, props and scale are
+ *   unchanged since the last build are only moved, not rebuilt.
+ * @returns {{sources: object[], elements: object[], cavities: object[], params: object}}
+ */
+export function buildScene(snapshot, reuse = new Map()) {
+  // Element ids are unique per page; setups saved to disk have none, so number them here
+  const elements = (snapshot.elements ?? []).map((eState, i) => {
+    const id = eState.id ?? (i + 1);
+    const key = JSON.stringify([eState.type, eState.props, eState.scale]);
+    let cached = reuse.get(id);
+    if (!cached || cached.key !== key) {
+      cached = { key, el: _buildElement(eState) };
+      cached.el.id = id;
+      reuse.set(id, cached);
+    } else {
+      _placeObject(cached.el.mesh, eState);
+    }
+    cached.el.mesh.updateMatrixWorld(true);
+    return cached.el;
+  });
+  const live = new Set(elements.map(el => el.id));
+  for (const id of reuse.keys()) if (!live.has(id)) reuse.delete(id);
+
+  const sources = (snapshot.sources ?? []).map((sState, i) => _buildSource(sState, i + 1));
+
+  // Saved setups reference cavity mirrors by index into the element list
+  const cavities = (snapshot.cavities ?? []).map((cState, i) => ({
+    id: cState.id ?? i,
+    type: cState.type,
+    wavelength_nm: cState.wavelength_nm,
+    mirrorIds: cState.mirrorIds ?? (cState.mirrors ?? []).map(k => elements[k]?.id)
+  })).filter(cav => cav.mirrorIds.length >= 2 && cav.mirrorIds.every(id => live.has(id)));
+
+  return { sources, elements, cavities, params: { maxSegments: 60, beamWidthScale: 1, ghostThreshold: 0.01, ...snapshot.params } };
+}
+
+/**
+ * Trace a snapshot. The bench's temporary source stands in when there are no sources, as in
+ * recompute().
+ * @param {object} snapshot
+ * @param {{reuse?: Map, maps?: object}} [state] - Element cache and readout maps to keep
+ *   between calls (meters keep their last reading when no beam reaches them).
+ * @returns {{ribbons: object[], meterUpdated: boolean, maps: object, scene: object}} The
+ *   scene is what buildScene made of the snapshot.
+ */
+export function traceSnapshot(snapshot, state = {}) {
+  const maps = state.maps ?? Object.fromEntries(INFO_MAPS.map(name => [name, new Map()]));
+  const scene = buildScene(snapshot, state.reuse);
+  if (!scene.sources.length) {
+    scene.sources.push(_buildSource({ id: 0, position: [0.0, 0.0, -0.0004], props: {} }, 0));
+  }
+  const trace = traceScene({ ...scene, ...maps, syncSourceW0ZR, clampToPlaneXZ });
+  return { ...trace, maps, scene };
+}
+
+// Ribbon polylines travel as flat typed arrays so they can be transferred, not copied
+const VEC_FIELDS = ["pts", "dirs", "ups"];
+const NUM_FIELDS = ["widths", "widthsY", "amps"];
+
+/**
+ * Pack a traceSnapshot result for postMessage.
+ * @returns {{message: object, transfer: ArrayBuffer[]}}
+ */
+export function packTrace({ ribbons, meterUpdated, maps }) {
+  const transfer = [];
+  const packed = ribbons.map(r => {
+    const out = { colorHex: r.colorHex, wavelength_nm: r.wavelength_nm, cavityId: r.cavityId, polSamples: r.polSamples };
+    for (const f of VEC_FIELDS) {
+      const a = new Float64Array(r[f].length * 3);
+      r[f].forEach((v, i) => { a[3 * i] = v.x; a[3 * i + 1] = v.y; a[3 * i + 2] = v.z; });
+      out[f] = a;
+      transfer.push(a.buffer);
+    }
+    for (const f of NUM_FIELDS) {
+      out[f] = Float64Array.from(r[f]);
+      transfer.push(out[f].buffer);
+    }
+    return out;
+  });
+  const infos = Object.fromEntries(Object.entries(maps).map(([name, m]) => [name, [...m]]));
+  return { message: { ribbons: packed, meterUpdated, infos }, transfer };
+}
+
+// Structured clone drops prototypes: bring back vectors and complex numbers
+function _revive(v) {
+  if (Array.isArray(v)) return v.map(_revive);
+  if (!v || typeof v !== 'object' || ArrayBuffer.isView(v)) return v;
+  const keys = Object.keys(v);
+  if (keys.length === 3 && keys.every(k => (k === 'x' || k === 'y' || k === 'z') && typeof v[k] === 'number')) return new THREE.Vector3(v.x, v.y, v.z);
+  if (keys.length === 2 && 're' in v && ('_im' in v || 'im' in v)) return new Complex(v.re, v._im ?? v.im);
+  const out = {};
+  for (const k of keys) out[k] = _revive(v[k]);
+  return out;
+}
+
+/**
+ * Undo packTrace on the receiving side.
+ * @returns {{ribbons: object[], meterUpdated: boolean, infos: Object<string, Map>}}
+ */
+export function unpackTrace({ ribbons, meterUpdated, infos }) {
+  const vecs = (a) => {
+    const out = new Array(a.length / 3);
+    for (let i = 0; i < out.length; i++) out[i] = new THREE.Vector3(a[3 * i], a[3 * i + 1], a[3 * i + 2]);
+    return out;
+  };
+  return {
+    ribbons: ribbons.map(r => ({
+      colorHex: r.colorHex, wavelength_nm: r.wavelength_nm, cavityId: r.cavityId,
+      pts: vecs(r.pts), dirs: vecs(r.dirs), ups: vecs(r.ups),
+      widths: Array.from(r.widths), widthsY: Array.from(r.widthsY), amps: Array.from(r.amps),
+      polSamples: _revive(r.polSamples)
+    })),
+    meterUpdated,
+    infos: Object.fromEntries(Object.entries(infos).map(([name, entries]) => [name, new Map(_revive(entries))]))
+  };
+}
@@ -4,7 +4,8 @@
  */
 
 // sources.js - Manages source creation, visuals, state sync, and source UI
-import * as THREE from 'three';
+import THREE from './three-import.js?v=1.0.15';
+import { RAY_PATTERNS, RAY_EMISSIONS, MAX_RAY_NA, rayBundle } from './raybundle.js?v=1.0.15';
 
 // Module-level context, initialized from main.js
 let scene, selectable, tcontrols;
@@ -16,6 +17,25 @@ let sourceCounter = 0;
 
 const SOURCE_COLOR = 0x7ee787;
 const DISK_BASE_RADIUS_M = 0.0005;
+const C_NM_PER_FS = 299.792458;
+const TBP_GAUSSIAN = 0.441;   // Δν·Δt of a transform-limited Gaussian pulse
+const MIN_PULSE_SAMPLES = 5;  // enough spectral samples to fit GDD and TOD at detectors
+
+// FWHM bandwidth (nm) of a transform-limited Gaussian pulse from its duration (fs), and back:
+// Δλ·Δt = TBP·λ²/c is symmetric in the two
+function _transformLimit(value, wavelength_nm){
+    return (value > 0) ? TBP_GAUSSIAN * wavelength_nm * wavelength_nm / (C_NM_PER_FS * value) : 0;
+}
+
+// Full cone angle (deg) of a rays-mode emission cone with the given numerical aperture
+function _fullDivergenceDeg(NA){
+    return 2 * Math.asin(Math.min(1, Math.max(0, Number(NA) || 0))) * 180 / Math.PI;
+}
+
+// Pulsed (average-power) sources with a duration carry a spectral phase through the bench
+function isPulsed(props){
+    return props?.power_mode === 'Average' && Number(props.pulse_fs) > 0;
+}
 
 function init(context) {
     scene = context.scene;
@@ -38,18 +58,35 @@ function _sanitizeSourceProps(src) {
     p.forward_cm = Math.max(0, Number(p.forward_cm ?? 100));
     p.backward_cm = Math.max(0, Number(p.backward_cm ?? 0));
     p.intensity_rel = Math.max(0, Number(p.intensity_rel ?? 1.0));
+    p.power = Math.max(0, Number(p.power ?? 1.0));
+    p.power_unit = (p.power_unit === 'W') ? 'W' : 'mW';
+    p.power_mode = (p.power_mode === 'Average') ? 'Average' : 'CW';
+    p.rep_rate_kHz = Math.max(1e-6, Number(p.rep_rate_kHz ?? 1));
+    p.pulse_fs = Math.max(0, Number(p.pulse_fs ?? 0));
+    p.chirp_fs2 = Number.isFinite(Number(p.chirp_fs2)) ? Number(p.chirp_fs2) : 0;
+    if (isPulsed(p)) {
+        // The spectrum follows the pulse: transform-limited bandwidth, sampled finely enough to fit
+        p.bandwidth_nm = _transformLimit(p.pulse_fs, p.wavelength_nm);
+        p.specSamples = Math.max(MIN_PULSE_SAMPLES, p.specSamples);
+    }
 
     p.waist_w0_um = Math.max(1, Number(p.waist_w0_um ?? 200));
     p.rayleigh_mm = Math.max(1e-9, Number(p.rayleigh_mm ?? 0));
     p.M2 = Math.max(1.0, Number(p.M2 ?? 1.0));
+    p.waist_ratio_y = Math.max(0.01, Number(p.waist_ratio_y ?? 1.0));
 
     p.rays_aperture_radius_mm = Math.max(0, Number(p.rays_aperture_radius_mm ?? 1.0));
     p.rays_spacing_um = Math.max(1, Number(p.rays_spacing_um ?? 600));
     p.rays_radius_um = Math.max(1, Number(p.rays_radius_um ?? 50));
+    p.rays_pattern = RAY_PATTERNS.includes(p.rays_pattern) ? p.rays_pattern : "Grid";
+    p.rays_emission = RAY_EMISSIONS.includes(p.rays_emission) ? p.rays_emission : "Collimated";
+    p.rays_NA = Math.min(MAX_RAY_NA, Math.max(0, Number(p.rays_NA ?? 0.1)));
+    p.rays_angle_rings = Math.min(20, Math.max(1, Math.round(Number(p.rays_angle_rings ?? 4))));
 
     p.polPreset = String(p.polPreset ?? "Linear X");
     p.customPolEx = String(p.customPolEx ?? "1+0i");
     p.customPolEy = String(p.customPolEy ?? "0+0i");
+    p.dop = Math.min(1, Math.max(0, Number(p.dop ?? 1)));
 
     if (src.lastEdited !== 'w0' && src.lastEdited !== 'zR') src.lastEdited = 'w0';
 }
@@ -83,34 +120,54 @@ function refreshSourceVisual(src) {
     _sanitizeSourceProps(src);
     _ensureSourceVisuals(src);
 
+    // Point sources in rays mode keep the sphere marker; other bundles show their aperture
     const isRays = src.props.beamMode === 'rays';
-    src.sphere.visible = !isRays;
-    src.disk.visible = isRays;
+    const isPoint = isRays && src.props.rays_emission === "Point Source";
+    src.sphere.visible = !isRays || isPoint;
+    src.disk.visible = isRays && !isPoint;
 
     const diskRadiusM = Math.max(1e-7, Number(src.props.rays_aperture_radius_mm) * 1e-3);
     const scale = diskRadiusM / DISK_BASE_RADIUS_M;
     src.disk.scale.set(scale, scale, 1);
 }
 
-function _countDiskRays(apertureRadiusM, spacingM) {
-    const r = Math.max(0, Number(apertureRadiusM));
-    const s = Math.max(1e-9, Number(spacingM));
-    if (r <= 0) return 1;
-
-    let count = 0;
-    for (let y = -r; y <= r + 1e-12; y += s) {
-        for (let x = -r; x <= r + 1e-12; x += s) {
-            if ((x * x + y * y) <= (r * r + 1e-15)) count++;
-        }
-    }
-    return Math.max(1, count);
-}
-
 function getDerivedRayCount(src) {
     if (!src?.props) return 1;
-    const r = Math.max(0, Number(src.props.rays_aperture_radius_mm ?? 1.0)) * 1e-3;
-    const s = Math.max(1, Number(src.props.rays_spacing_um ?? 600)) * 1e-6;
-    return _countDiskRays(r, s);
+    return Math.max(1, rayBundle(src.props).length);
+}
+
+// Props of a freshly placed source
+function defaultSourceProps(mode = 'gaussian') {
+    return {
+        beamMode: (mode === 'rays') ? 'rays' : 'gaussian',
+        wavelength_nm: 632.8,
+        bandwidth_nm: 0,
+        specSamples: 9,
+        waist_w0_um: 200,
+        rayleigh_mm: 0,
+        forward_cm: 100,
+        backward_cm: 0,
+        intensity_rel: 1.0,
+        power: 1.0,            // CW power, or average power when pulsed
+        power_unit: 'mW',
+        power_mode: 'CW',
+        rep_rate_kHz: 1,
+        pulse_fs: 0,           // pulsed sources: transform-limited FWHM duration (0 = spectral phase not tracked)
+        chirp_fs2: 0,          // initial GDD of the pulse
+        M2: 1.0,
+        waist_ratio_y: 1.0,
+        rays_aperture_radius_mm: 1.0,
+        rays_spacing_um: 600,
+        rays_radius_um: 50,
+        rays_pattern: "Grid",          // pupil sampling: Grid, Hexapolar, Random or Gaussian
+        rays_emission: "Collimated",   // Collimated, Point Source or Lambertian
+        rays_NA: 0.1,                  // emission cone half-angle sine (non-collimated)
+        rays_angle_rings: 4,           // angular sampling rings across the cone
+        polPreset: "Linear X",
+        customPolEx: "1+0i",
+        customPolEy: "0+0i",
+        dop: 1
+    };
 }
 
 function addSource({ position = new THREE.Vector3(0, 0, -0.04), yawRad = 0, mode = 'gaussian' } = {}) {
@@ -141,24 +198,7 @@ function addSource({ position = new THREE.Vector3(0, 0, -0.04), yawRad = 0, mode
     scene.add(group);
     selectable.push(handle);
 
-    const props = {
-        beamMode: (mode === 'rays') ? 'rays' : 'gaussian',
-        wavelength_nm: 632.8,
-        bandwidth_nm: 0,
-        specSamples: 9,
-        waist_w0_um: 200,
-        rayleigh_mm: 0,
-        forward_cm: 100,
-        backward_cm: 0,
-        intensity_rel: 1.0,
-        M2: 1.0,
-        rays_aperture_radius_mm: 1.0,
-        rays_spacing_um: 600,
-        rays_radius_um: 50,
-        polPreset: "Linear X",
-        customPolEx: "1+0i",
-        customPolEy: "0+0i"
-    };
+    const props = defaultSourceProps(mode);
 
     const src = { group, handle, arrow, sphere: null, disk: null, props, lastEdited: 'w0' };
     syncSourceW0ZR(src);
@@ -214,15 +254,28 @@ function buildSourceUI(elFolder, src, live, ui) {
     ui.waist_w0_um = src.props.waist_w0_um;
     ui.rayleigh_mm = src.props.rayleigh_mm;
     ui.M2 = src.props.M2 ?? 1.0;
+    ui.waist_ratio_y = src.props.waist_ratio_y ?? 1.0;
     ui.forward_cm = src.props.forward_cm;
     ui.backward_cm = src.props.backward_cm;
     ui.intensity_rel = src.props.intensity_rel;
+    ui.power = src.props.power;
+    ui.power_unit = src.props.power_unit;
+    ui.power_mode = src.props.power_mode;
+    ui.rep_rate_kHz = src.props.rep_rate_kHz;
+    ui.pulse_fs = src.props.pulse_fs ?? 0;
+    ui.chirp_fs2 = src.props.chirp_fs2 ?? 0;
     ui.rays_aperture_radius_mm = src.props.rays_aperture_radius_mm;
     ui.rays_spacing_um = src.props.rays_spacing_um;
     ui.rays_radius_um = src.props.rays_radius_um;
+    ui.rays_pattern = src.props.rays_pattern;
+    ui.rays_emission = src.props.rays_emission;
+    ui.rays_NA = src.props.rays_NA;
+    ui.rays_divergence_deg = _fullDivergenceDeg(src.props.rays_NA);
+    ui.rays_angle_rings = src.props.rays_angle_rings;
     ui.polPreset = src.props.polPreset;
     ui.customPolEx = src.props.customPolEx;
     ui.customPolEy = src.props.customPolEy;
+    ui.dop = src.props.dop;
 
     const setCtrlVisible = (ctrl, visible) => {
         const row = ctrl?.domElement?.closest?.(".controller");
@@ -239,6 +292,8 @@ function buildSourceUI(elFolder, src, live, ui) {
     let w0Ctrl, zrCtrl;
     const gaussianCtrls = [];
     const raysCtrls = [];
+    const rayApertureCtrls = [];   // hidden for point sources
+    const rayAngleCtrls = [];      // hidden for collimated bundles
 
     const beamModeCtrl = elFolder.add(ui, "beam_model", ["Gaussian", "Rays"]).name("Beam Model")
         .onChange(v => {
@@ -304,11 +359,38 @@ function buildSourceUI(elFolder, src, live, ui) {
     );
     gaussianCtrls.push(m2Ctrl);
 
+    // Elliptical (e.g. diode) sources: vertical waist relative to the horizontal one
+    const ratioCtrl = live(
+        elFolder.add(ui, "waist_ratio_y", 0.1, 10, 0.01).name("Waist Ratio w0y/w0x"),
+        v => { src.props.waist_ratio_y = Math.max(0.01, Number(v)); doRecompute(); }
+    );
+    gaussianCtrls.push(ratioCtrl);
+
     const intensityCtrl = live(
         elFolder.add(ui, "intensity_rel", 0, 5, 0.01).name("Intensity (x)"),
         v => { src.props.intensity_rel = Math.max(0, Number(v)); doRecompute(); }
     );
 
+    live(
+        elFolder.add(ui, "power", 0, 1000, 0.001).name("Power"),
+        v => { src.props.power = Math.max(0, Number(v)); doRecompute(); }
+    );
+    elFolder.add(ui, "power_unit", ["mW", "W"]).name("Power Unit")
+        .onChange(v => { src.props.power_unit = v; doRecompute(); refreshAfterRecompute(); State.pushHistory(); });
+    let repRateCtrl, pulseCtrl, chirpCtrl;
+    elFolder.add(ui, "power_mode", ["CW", "Average"]).name("Power Mode")
+        .onChange(v => {
+            src.props.power_mode = v;
+            [repRateCtrl, pulseCtrl, chirpCtrl].forEach(c => setCtrlVisible(c, v === "Average"));
+            doRecompute(); refreshAfterRecompute(); State.pushHistory();
+        });
+    // Pulsed sources: average power / repetition rate gives the pulse energy for fluence
+    repRateCtrl = live(
+        elFolder.add(ui, "rep_rate_kHz", 1e-3, 1e6, 0.001).name("Rep. Rate (kHz)"),
+        v => { src.props.rep_rate_kHz = Math.max(1e-6, Number(v)); doRecompute(); }
+    );
+    setCtrlVisible(repRateCtrl, ui.power_mode === "Average");
+
     elFolder.add(ui, "wavelength_nm").name("Wavelength (nm)")
         .onFinishChange(v => {
             const n = Number(v);
@@ -326,12 +408,38 @@ function buildSourceUI(elFolder, src, live, ui) {
 
     const bandwidthCtrl = live(
         elFolder.add(ui, "bandwidth_nm", 0, 2000, 1).name("Bandwidth (nm)"),
-        v => { src.props.bandwidth_nm = Math.max(0, Number(v)); doRecompute(); }
+        v => {
+            src.props.bandwidth_nm = Math.max(0, Number(v));
+            // A pulsed source stays transform-limited: the bandwidth sets its duration
+            if (isPulsed(src.props)) {
+                src.props.pulse_fs = ui.pulse_fs = _transformLimit(src.props.bandwidth_nm, src.props.wavelength_nm);
+                pulseCtrl?.updateDisplay();
+            }
+            doRecompute();
+        }
     );
     const specSamplesCtrl = live(
         elFolder.add(ui, "specSamples", 1, 31, 1).name("Spectral Samples"),
         v => { src.props.specSamples = Math.max(1, Math.floor(Number(v))); doRecompute(); }
     );
+
+    // Ultrashort pulses: duration and initial chirp; detectors report the output pulse
+    const syncSpectrumRows = () => {
+        syncSourceW0ZR(src);
+        ui.bandwidth_nm = src.props.bandwidth_nm;
+        ui.specSamples = src.props.specSamples;
+        bandwidthCtrl.updateDisplay();
+        specSamplesCtrl.updateDisplay();
+    };
+    pulseCtrl = live(
+        elFolder.add(ui, "pulse_fs", 0, 10000, 1).name("Pulse Duration (fs)"),
+        v => { src.props.pulse_fs = Math.max(0, Number(v)); syncSpectrumRows(); doRecompute(); }
+    );
+    chirpCtrl = live(
+        elFolder.add(ui, "chirp_fs2", -1e5, 1e5, 10).name("Chirp GDD (fs²)"),
+        v => { src.props.chirp_fs2 = Number(v) || 0; doRecompute(); }
+    );
+    [pulseCtrl, chirpCtrl].forEach(c => setCtrlVisible(c, ui.power_mode === "Average"));
     const forwardCtrl = live(
         elFolder.add(ui, "forward_cm", 0, 2000, 10).name("Forward Path (cm)"),
         v => { src.props.forward_cm = Math.max(0, Number(v)); doRecompute(); }
@@ -341,6 +449,28 @@ function buildSourceUI(elFolder, src, live, ui) {
         v => { src.props.backward_cm = Math.max(0, Number(v)); doRecompute(); }
     );
 
+    const raysPatternCtrl = elFolder.add(ui, "rays_pattern", RAY_PATTERNS).name("Ray Pattern")
+        .onChange(v => {
+            src.props.rays_pattern = v;
+            refreshDerivedRays();
+            doRecompute();
+            refreshAfterRecompute();
+            State.pushHistory();
+        });
+    raysCtrls.push(raysPatternCtrl);
+
+    const raysEmissionCtrl = elFolder.add(ui, "rays_emission", RAY_EMISSIONS).name("Emission")
+        .onChange(v => {
+            src.props.rays_emission = v;
+            refreshSourceVisual(src);
+            refreshDerivedRays();
+            syncModelRows();
+            doRecompute();
+            refreshAfterRecompute();
+            State.pushHistory();
+        });
+    raysCtrls.push(raysEmissionCtrl);
+
     const raysApertureCtrl = live(
         elFolder.add(ui, "rays_aperture_radius_mm", 0, 200, 0.01).name("Aperture Radius (mm)"),
         v => {
@@ -351,6 +481,7 @@ function buildSourceUI(elFolder, src, live, ui) {
         }
     );
     raysCtrls.push(raysApertureCtrl);
+    rayApertureCtrls.push(raysApertureCtrl);
 
     const raysSpacingCtrl = live(
         elFolder.add(ui, "rays_spacing_um", 1, 5000, 1).name("Ray Spacing (um)"),
@@ -361,6 +492,7 @@ function buildSourceUI(elFolder, src, live, ui) {
         }
     );
     raysCtrls.push(raysSpacingCtrl);
+    rayApertureCtrls.push(raysSpacingCtrl);
 
     const raysRadiusCtrl = live(
         elFolder.add(ui, "rays_radius_um", 1, 1000, 1).name("Ray Radius (um)"),
@@ -371,6 +503,37 @@ function buildSourceUI(elFolder, src, live, ui) {
     );
     raysCtrls.push(raysRadiusCtrl);
 
+    // NA and full divergence angle are two views of the same cone
+    let raysDivergenceCtrl;
+    const raysNACtrl = live(
+        elFolder.add(ui, "rays_NA", 0, MAX_RAY_NA, 0.001).name("Numerical Aperture"),
+        v => {
+            src.props.rays_NA = Math.min(MAX_RAY_NA, Math.max(0, Number(v)));
+            ui.rays_divergence_deg = _fullDivergenceDeg(src.props.rays_NA);
+            raysDivergenceCtrl?.updateDisplay();
+            doRecompute();
+        }
+    );
+    raysDivergenceCtrl = live(
+        elFolder.add(ui, "rays_divergence_deg", 0, _fullDivergenceDeg(MAX_RAY_NA), 0.1).name("Full Divergence (deg)"),
+        v => {
+            const half = Math.max(0, Number(v)) * Math.PI / 360;
+            src.props.rays_NA = Math.min(MAX_RAY_NA, Math.sin(half));
+            ui.rays_NA = src.props.rays_NA;
+            raysNACtrl.updateDisplay();
+            doRecompute();
+        }
+    );
+    const raysRingsCtrl = live(
+        elFolder.add(ui, "rays_angle_rings", 1, 20, 1).name("Angular Rings"),
+        v => {
+            src.props.rays_angle_rings = Math.min(20, Math.max(1, Math.round(Number(v))));
+            refreshDerivedRays();
+            doRecompute();
+        }
+    );
+    [raysNACtrl, raysDivergenceCtrl, raysRingsCtrl].forEach(c => { raysCtrls.push(c); rayAngleCtrls.push(c); });
+
     const derivedObj = { rays_count: getDerivedRayCount(src) };
     const derivedCtrl = elFolder.add(derivedObj, "rays_count").name("Derived Rays");
     const derivedRow = derivedCtrl.domElement?.closest?.(".controller");
@@ -428,6 +591,12 @@ function buildSourceUI(elFolder, src, live, ui) {
             State.pushHistory();
         });
 
+    // Degree of polarization: the preset above is the polarized part, the rest is unpolarized
+    live(
+        elFolder.add(ui, "dop", 0, 1, 0.01).name("Degree of Pol. (DOP)"),
+        v => { src.props.dop = Math.min(1, Math.max(0, Number(v))); doRecompute(); }
+    );
+
     function parseComplex(s) {
         const txt = String(s || "").trim();
         const m = txt.match(/^([+\-]?\d*\.?\d+)([+\-]\d*\.?\d+)i$/i);
@@ -503,6 +672,9 @@ function buildSourceUI(elFolder, src, live, ui) {
         const isRays = src.props.beamMode === 'rays';
         gaussianCtrls.forEach(ctrl => setCtrlVisible(ctrl, !isRays));
         raysCtrls.forEach(ctrl => setCtrlVisible(ctrl, isRays));
+        const emission = src.props.rays_emission;
+        rayApertureCtrls.forEach(ctrl => setCtrlVisible(ctrl, isRays && emission !== "Point Source"));
+        rayAngleCtrls.forEach(ctrl => setCtrlVisible(ctrl, isRays && emission !== "Collimated"));
     }
 
     // keep lint-friendly references alive
@@ -527,5 +699,6 @@ export {
     syncSourceW0ZR,
     buildSourceUI,
     refreshSourceVisual,
-    getDerivedRayCount
+    getDerivedRayCount,
+    defaultSourceProps
 };
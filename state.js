@@ -68,12 +68,14 @@ function captureState() {
     const state = {
         params: {
             beamWidthScale: _context.params.beamWidthScale,
+            ghostThreshold: _context.params.ghostThreshold,
             showGrid: _context.params.showGrid,
             showLabels: _context.params.showLabels,
             labelFontSize: _context.params.labelFontSize
         },
         sources: [],
         elements: [],
+        cavities: [],
         ruler: null
     };
     
@@ -105,6 +107,15 @@ function captureState() {
         });
     });
 
+    // Cavities reference their mirrors by index into state.elements
+    (_context.cavities || []).forEach(cav => {
+        state.cavities.push({
+            type: cav.type,
+            wavelength_nm: cav.wavelength_nm,
+            mirrors: cav.mirrorIds.map(id => _context.elements.findIndex(el => el.id === id))
+        });
+    });
+
     return state;
 }
 
@@ -120,6 +131,7 @@ function restoreState(state) {
     if (state.params) {
         Object.assign(_context.params, state.params);
         _context.beamWidthScaleController?.updateDisplay();
+        _context.ghostThresholdController?.updateDisplay();
         _context.showGridController?.updateDisplay();
         _context.showLabelsController?.updateDisplay();
         _context.labelFontSizeController?.updateDisplay();
@@ -154,6 +166,7 @@ function restoreState(state) {
     state.elements.forEach(eState => {
         const newEl = _context.recreateFuncs[eState.type](eState.props);
         if (newEl) {
+            _context.copySharedProps?.(newEl, eState.props);
             if (newEl.type === 'grating') {
                 newEl.props.visibleOrders = eState.props.visibleOrders || {};
             }
@@ -173,10 +186,24 @@ function restoreState(state) {
             if (newEl.type === 'thickLens' && typeof _context.refreshThickLensVisual === 'function') {
                 _context.refreshThickLensVisual(newEl);
             }
+            if (newEl.type === 'prism' && typeof _context.refreshPrismVisual === 'function') {
+                _context.refreshPrismVisual(newEl);
+            }
         }
     });
 
 
+    // Re-create cavities against the new element ids
+    if (_context.cavities) {
+        _context.cavities.length = 0;
+        (state.cavities || []).forEach(cState => {
+            const mirrorIds = (cState.mirrors || []).map(i => _context.elements[i]?.id);
+            if (mirrorIds.length >= 2 && mirrorIds.every(id => id !== undefined)) {
+                _context.addCavity({ mirrorIds, type: cState.type, wavelength_nm: cState.wavelength_nm });
+            }
+        });
+    }
+
     // Restore ruler
     const rulerContext = { scene: _context.scene, selectable: _context.selectable, tcontrols: _context.tcontrols, pushHistory, isRestoringState: true };
     if (_context.Ruler.doesRulerExist() && !state.ruler) {
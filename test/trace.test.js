@@ -0,0 +1,75 @@
+/*!
+ * BeamBench Copyright (C) 2025 VisuPhy
+ * SPDX-License-Identifier: GPL-3.0-or-later
+ */
+
+// trace.test.js — regression checks of the propagation engine through trace.js (node --test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { trace } from '../trace.js';
+
+const IDENTITY = [0, 0, 0, 1];
+const source = (props = {}) => ({ position: [0, 0, 0], props: { forward_cm: 60, ...props } });
+const element = (type, position, props = {}, quaternion = IDENTITY) => ({ type, position, quaternion, scale: [1, 1, 1], props });
+
+// Mirror tilted by theta about y, then turned by phi about the beam (z) axis
+function tilt(theta, phi) {
+  const a = Math.sin(phi / 2), b = Math.sin(theta / 2);
+  const ca = Math.cos(phi / 2), cb = Math.cos(theta / 2);
+  return [-a * b, ca * b, cb * a, ca * cb];
+}
+
+test('off-axis sphere patch reaching past the rim is pulled back onto the surface', () => {
+  const setup = {
+    sources: [source({ forward_cm: 40 })],
+    elements: [element('mirror', [0, 0, 0.1], { flat: false, R: 0.1, conic: 0, offAxis: 0.1 })]
+  };
+  const { elements, paths } = trace(setup);
+  assert.ok(paths.length >= 2, 'the mirror reflects the beam');
+  assert.ok(elements[0].output, 'the mirror has an output readout');
+});
+
+test('off-axis paraboloid keeps its off-axis distance', () => {
+  const setup = {
+    sources: [source({ forward_cm: 40 })],
+    elements: [element('mirror', [0, 0, 0.1], { flat: false, R: 0.1, conic: -1, offAxis: 0.1 })]
+  };
+  assert.ok(trace(setup).paths.length >= 2);
+});
+
+test('a chirped source reports its stretched input duration', () => {
+  const tau0 = 50, gdd = 1000;
+  const setup = {
+    sources: [source({ power_mode: 'Average', rep_rate_kHz: 80000, pulse_fs: tau0, chirp_fs2: gdd, specSamples: 7 })],
+    elements: [element('multimeter', [0, 0, 0.1])]
+  };
+  const { detector } = trace(setup, { paths: false }).elements[0];
+  const expected = tau0 * Math.hypot(1, 4 * Math.LN2 * gdd / (tau0 * tau0));
+  assert.ok(Math.abs(detector.pulse_in_fs - expected) < 1e-3, `${detector.pulse_in_fs} fs vs ${expected} fs`);
+  assert.ok(Math.abs(detector.pulse_out_fs - expected) < 1e-3, 'free space adds no GDD');
+});
+
+test('a compound-angle fold turns a round beam\'s x/y axes into its plane of incidence', () => {
+  const fold = (phi) => {
+    const setup = {
+      sources: [source()],
+      elements: [element('mirror', [0, 0, 0.1], { flat: false, R: 0.2 }, tilt(0.3, phi))]
+    };
+    return trace(setup, { paths: false }).elements[0].output;
+  };
+  const planar = fold(0), compound = fold(Math.PI / 6);
+  const waists = (o) => [o.w0_x_um, o.w0_y_um].sort((a, b) => a - b);
+  assert.ok(Math.abs(planar.w0_x_um - planar.w0_y_um) > 1, 'the tilted mirror is astigmatic');
+  waists(planar).forEach((w, i) => assert.ok(Math.abs(w - waists(compound)[i]) < 1e-6 * w, `${waists(compound)} vs ${waists(planar)}`));
+  // The horizontally polarized input now reads its 30° to the turned axes
+  assert.ok(Math.abs(Math.abs(compound.psi_deg) - 30) < 1e-3, `Ψ = ${compound.psi_deg}°`);
+});
+
+test('an astigmatic beam at a compound-angle fold reports how far its axes were snapped', () => {
+  const setup = {
+    sources: [source({ waist_ratio_y: 2 })],
+    elements: [element('mirror', [0, 0, 0.1], { flat: false, R: 0.2 }, tilt(0.3, Math.PI / 6))]
+  };
+  const { output } = trace(setup, { paths: false }).elements[0];
+  assert.ok(Math.abs(output.axesSnapped_deg - 30) < 1e-3, `${output.axesSnapped_deg}°`);
+});
@@ -0,0 +1,13 @@
+/*!
+ * BeamBench Copyright (C) 2025 VisuPhy
+ * SPDX-License-Identifier: GPL-3.0-or-later
+ */
+
+// three-import.js — three.js for the modules trace-worker.js loads, which also run on the page and under Node
+// Module workers do not see the page's import map, so trace-client.js passes the worker the URL
+// that 'three' resolves to on the page. Everywhere else the bare specifier resolves as usual.
+const workerThreeUrl = (typeof WorkerGlobalScope !== 'undefined')
+  ? new URL(self.location.href).searchParams.get('three')
+  : null;
+
+export default await import(workerThreeUrl ?? 'three');
@@ -0,0 +1,91 @@
+/*!
+ * BeamBench Copyright (C) 2025 VisuPhy
+ * SPDX-License-Identifier: GPL-3.0-or-later
+ */
+
+// trace-client.js — runs propagation in trace-worker.js so the page stays responsive
+import { unpackTrace } from './snapshot.js?v=1.0.15';
+
+let worker = null;
+let ready = false;       // worker module loaded and listening
+let failed = false;      // no worker: callers trace on the main thread instead
+let seq = 0;
+let inFlight = 0;        // seq of the job the worker is running, 0 when idle
+let pending = null;      // newest snapshot waiting for the worker
+let _onResult = null;
+let _onFailure = null;
+let _onError = null;
+
+/**
+ * Start the worker.
+ * @param {object} handlers
+ * @param {function(object):void} handlers.onResult - Receives each finished trace (see unpackTrace).
+ * @param {function(Error):void} handlers.onFailure - Called once if the worker cannot run;
+ *   isAvailable() is false from then on.
+ * @param {function(Error):void} [handlers.onError] - Called when a single trace throws; the
+ *   worker stays up and takes the next snapshot.
+ */
+export function init({ onResult, onFailure, onError }) {
+    _onResult = onResult;
+    _onFailure = onFailure;
+    _onError = onError;
+    if (typeof Worker === 'undefined') { failed = true; return; }
+    try {
+        // The worker has no import map; three-import.js loads three from this URL instead
+        const url = new URL('./trace-worker.js?v=1.0.15', import.meta.url);
+        url.searchParams.set('three', import.meta.resolve('three'));
+        worker = new Worker(url, { type: 'module' });
+    } catch (err) {
+        _fail(err);
+        return;
+    }
+    worker.onmessage = ({ data }) => {
+        if (data.ready) { ready = true; _dispatch(); return; }
+        if (data.seq !== inFlight) return;
+        inFlight = 0;
+        _dispatch();
+        if (data.error) { _onError?.(new Error(data.error)); return; }
+        _onResult?.(unpackTrace(data));
+    };
+    // Module workers that fail to load (or throw outside a job) end up here; errors inside a
+    // job are posted back as messages instead
+    worker.onerror = (ev) => { ev.preventDefault?.(); _fail(new Error(ev.message || 'Trace worker failed')); };
+}
+
+function _fail(err) {
+    if (failed) return;
+    failed = true;
+    worker?.terminate();
+    worker = null;
+    pending = null;
+    inFlight = 0;
+    _onFailure?.(err);
+}
+
+function _dispatch() {
+    if (!ready || inFlight || !pending) return;
+    inFlight = ++seq;
+    worker.postMessage({ seq: inFlight, snapshot: pending });
+    pending = null;
+}
+
+/**
+ * Queue a scene snapshot for tracing. While the worker is busy only the newest snapshot is
+ * kept, so edits made during a trace replace one another instead of piling up.
+ * @param {object} snapshot - From snapshotScene().
+ */
+export function request(snapshot) {
+    if (failed) return;
+    pending = snapshot;
+    _dispatch();
+}
+
+/** @returns {boolean} True while tracing runs in the worker. */
+export function isAvailable() {
+    return !failed;
+}
+
+/** @returns {boolean} True while a trace is running or waiting to run. */
+export function isBusy() {
+    return !failed && (inFlight !== 0 || pending !== null);
+}
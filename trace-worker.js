@@ -0,0 +1,24 @@
+/*!
+ * BeamBench Copyright (C) 2025 VisuPhy
+ * SPDX-License-Identifier: GPL-3.0-or-later
+ */
+
+// trace-worker.js — module worker that traces scene snapshots posted by trace-client.js
+import { traceSnapshot, packTrace } from './snapshot.js?v=1.0.15';
+
+// Rebuilt elements and meter readings persist between jobs, as they do on the main thread
+const state = { reuse: new Map(), maps: null };
+
+self.onmessage = ({ data }) => {
+  const { seq, snapshot } = data;
+  try {
+    const result = traceSnapshot(snapshot, state);
+    state.maps = result.maps;
+    const { message, transfer } = packTrace(result);
+    self.postMessage({ seq, ...message }, transfer);
+  } catch (err) {
+    self.postMessage({ seq, error: String(err?.stack ?? err) });
+  }
+};
+
+self.postMessage({ ready: true });
@@ -0,0 +1,97 @@
+/*!
+ * BeamBench Copyright (C) 2025 VisuPhy
+ * SPDX-License-Identifier: GPL-3.0-or-later
+ */
+
+// trace.js — headless propagation: a saved setup in, traced paths and readouts out (also under Node)
+import * as THREE from 'three';
+import { Complex } from './optics.js?v=1.0.15';
+import { traceSnapshot } from './snapshot.js?v=1.0.15';
+
+// Vectors become [x, y, z], complex numbers { re, im }, maps plain objects; functions are dropped
+function _plain(v) {
+  if (v instanceof THREE.Vector3) return v.toArray();
+  if (v instanceof Complex) return { re: v.re, im: v.im };
+  if (v instanceof Map) return Object.fromEntries([...v].map(([k, x]) => [k, _plain(x)]));
+  if (Array.isArray(v)) return v.map(_plain);
+  if (typeof v === 'function') return undefined;
+  if (!v || typeof v !== 'object') return v;
+  const out = {};
+  for (const [k, x] of Object.entries(v)) {
+    const p = _plain(x);
+    if (p !== undefined) out[k] = p;
+  }
+  return out;
+}
+
+const _hex = (c) => `#${c.toString(16).padStart(6, '0')}`;
+
+function _polyline(r) {
+  return {
+    wavelength_nm: r.wavelength_nm,
+    color: _hex(r.colorHex),
+    points_m: r.pts.map(p => p.toArray()),
+    widths_m: [...r.widths],
+    widthsY_m: [...r.widthsY],
+    amplitudes: [...r.amps]
+  };
+}
+
+/**
+ * Trace a setup as written by captureState / saveState in state.js, without a page.
+ * Elements are numbered id = index + 1 when the setup carries no ids.
+ * @param {object|string} setupJson - The setup, or its JSON text.
+ * @param {object} [options]
+ * @param {number} [options.maxSegments=60] - Interactions followed per path (a positive integer).
+ * @param {number} [options.ghostThreshold] - Overrides the setup's ghost threshold (≥ 0).
+ * @param {boolean} [options.paths=true] - Include traced polylines (the bulk of the output).
+ * @returns {{paths: object[], elements: object[], cavities: object[]}} Plain data: vectors as
+ *   [x, y, z] (m), complex numbers as { re, im }. Each element carries the readouts the page
+ *   shows for it: `output` (output beam), `detector`, `grating`, `load` (incident power and
+ *   damage check) and `aperture` (clipping), whichever apply.
+ * @throws {TypeError} If the setup is not a saved BeamBench setup.
+ * @throws {RangeError} If maxSegments or ghostThreshold is out of range.
+ */
+export function trace(setupJson, options = {}) {
+  const setup = (typeof setupJson === 'string') ? JSON.parse(setupJson) : setupJson;
+  if (!setup || !Array.isArray(setup.sources) || !Array.isArray(setup.elements)) {
+    throw new TypeError('trace() expects a saved BeamBench setup with "sources" and "elements" arrays');
+  }
+  const params = { ...setup.params, showPolarization: false };
+  if (options.maxSegments !== undefined) {
+    params.maxSegments = Number(options.maxSegments);
+    if (!Number.isInteger(params.maxSegments) || params.maxSegments < 1) {
+      throw new RangeError(`maxSegments must be a positive integer, got ${options.maxSegments}`);
+    }
+  }
+  if (options.ghostThreshold !== undefined) {
+    params.ghostThreshold = Number(options.ghostThreshold);
+    if (!Number.isFinite(params.ghostThreshold) || params.ghostThreshold < 0) {
+      throw new RangeError(`ghostThreshold must be a non-negative number, got ${options.ghostThreshold}`);
+    }
+  }
+
+  const { ribbons, maps, scene } = traceSnapshot({ ...setup, params });
+
+  const elements = scene.elements.map((el, index) => _plain({
+    index,
+    id: el.id,
+    type: el.type,
+    label: el.props.label || undefined,
+    output: maps.elementLastInfo.get(el.id),
+    detector: maps.meterLastInfo.get(el.id),
+    grating: maps.gratingLastInfo.get(el.id),
+    load: maps.damageLastInfo.get(el.id),
+    aperture: maps.apertureLastInfo.get(el.id)
+  }));
+  const cavities = scene.cavities.map(cav => _plain({
+    id: cav.id,
+    type: cav.type,
+    mirrorIds: cav.mirrorIds,
+    analysis: maps.cavityLastInfo.get(cav.id),
+    mode: (options.paths !== false) ? ribbons.filter(r => r.cavityId === cav.id).map(_polyline)[0] : undefined
+  }));
+  const paths = (options.paths !== false) ? ribbons.filter(r => r.cavityId === undefined).map(_polyline) : [];
+
+  return { paths, elements, cavities };
+}